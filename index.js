@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 "use strict";
 
+const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
 const { loadConfig } = require("./src/configLoader");
 const { BrowserRunner } = require("./src/BrowserRunner");
+const { StorageEngine } = require("./src/StorageEngine");
+const { CacheFsck } = require("./src/CacheFsck");
+const { CacheArchive, parseAge } = require("./src/CacheArchive");
+const { CacheMigrator } = require("./src/CacheMigrator");
+const { TrafficClassifier } = require("./src/TrafficClassifier");
 const { log } = require("./src/logger");
 
 const VERSION = "3.1.3";
@@ -21,6 +27,22 @@ function parseCLIBrowser() {
   return arg ? arg.split("=")[1] : null;
 }
 
+function hasArg(name) {
+  return process.argv.some(a => a === name || a.startsWith(name + "="));
+}
+
+/**
+ * Value of "--name=value" or "--name value"; null when absent.
+ */
+function argValue(name) {
+  const idx = process.argv.findIndex(a => a === name || a.startsWith(name + "="));
+  if (idx === -1) return null;
+  const arg = process.argv[idx];
+  if (arg.includes("=")) return arg.slice(arg.indexOf("=") + 1);
+  const next = process.argv[idx + 1];
+  return next && !next.startsWith("--") ? next : null;
+}
+
 async function promptBrowser() {
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   console.log("\n=== CDN EdgeProxy v" + VERSION + " ===\n");
@@ -36,7 +58,70 @@ async function promptBrowser() {
   });
 }
 
+async function runFsck(config) {
+  log.info(`EdgeProxy v${VERSION} — cache integrity check`);
+  const storage = new StorageEngine(config.cache);
+  await storage.init();
+  const fsck = new CacheFsck(storage);
+  fsck.run({ rebuildIndex: process.argv.includes("--rebuild-index") });
+  storage.close();
+  log.info("FSCK SUMMARY", "\n" + fsck.format());
+}
+
+async function runArchive(config, mode, file) {
+  if (!file) throw new Error(`--${mode}-cache needs a file path`);
+  const filters = {
+    target: argValue("--target"),
+    origin: argValue("--origin"),
+    maxAge: parseAge(argValue("--max-age"))
+  };
+  log.info(`EdgeProxy v${VERSION} — cache ${mode}: ${file}`);
+  const storage = new StorageEngine(config.cache);
+  await storage.init();
+  const archive = new CacheArchive(storage);
+  const s = mode === "export" ? archive.export(file, filters) : archive.import(file, filters);
+  storage.close();
+  let summary = `Entries: ${s.entries} | Aliases: ${s.aliases} | Blobs ${mode === "export" ? "written" : "added"}: ${s.blobs} (${(s.bytes / 1024 / 1024).toFixed(1)} MB)`;
+  summary += `\nSkipped: ${s.skipped}${s.corrupt !== undefined ? ` | Corrupt blobs rejected: ${s.corrupt}` : ""}`;
+  log.info(`CACHE ${mode.toUpperCase()}`, "\n" + summary);
+}
+
+async function runMigrate(config, dir) {
+  // Without a path, look where the legacy engines kept their data
+  const dirs = dir
+    ? [path.resolve(dir)]
+    : [...new Set([path.resolve("data/cachestorage"), path.resolve(config.cache.dir)])];
+  log.info(`EdgeProxy v${VERSION} — legacy cache migration`);
+
+  const storage = new StorageEngine(config.cache);
+  await storage.init();
+  const allMatchDomains = [];
+  for (const t of config.targets) {
+    if (t.matchDomains) allMatchDomains.push(...t.matchDomains);
+  }
+  const classifier = new TrafficClassifier(config.routing, allMatchDomains, config.targets);
+  const migrator = new CacheMigrator(storage, classifier);
+  for (const d of dirs) {
+    if (fs.existsSync(d)) await migrator.migrate(d);
+  }
+  storage.close();
+  log.info("MIGRATION SUMMARY", "\n" + migrator.format());
+}
+
 async function main() {
+  if (hasArg("--fsck")) {
+    return runFsck(loadConfig());
+  }
+  if (hasArg("--export-cache")) {
+    return runArchive(loadConfig(), "export", argValue("--export-cache"));
+  }
+  if (hasArg("--import-cache")) {
+    return runArchive(loadConfig(), "import", argValue("--import-cache"));
+  }
+  if (hasArg("--migrate-cache")) {
+    return runMigrate(loadConfig(), argValue("--migrate-cache"));
+  }
+
   let browser = parseCLIBrowser();
   if (!browser) {
     const envBrowser = loadConfig().BROWSER;
@@ -95,8 +95,9 @@ class BrowserRunner {
       if (t.matchDomains) allMatchDomains.push(...t.matchDomains);
     }
 
-    const classifier = new TrafficClassifier(this.config.routing, allMatchDomains);
-    const handler = new RequestHandler(this.storage, classifier, this.config.cache);
+    const classifier = new TrafficClassifier(this.config.routing, allMatchDomains, this.config.targets);
+    // context.request shares the context's cookies; used for background revalidation
+    const handler = new RequestHandler(this.storage, classifier, this.config.cache, this.context.request);
 
     log.info("Phase 3: Starting cache report...");
     this._startReport();
@@ -147,6 +148,7 @@ class BrowserRunner {
     if (this.storage) {
       const report = this.storage.getReport();
       log.info("FINAL CACHE REPORT", "\n" + report);
+      this.storage.close();
     }
     if (this.context) {
       try { await this.context.close(); } catch (_) {}
@@ -0,0 +1,215 @@
+"use strict";
+
+const fs = require("fs");
+const { log } = require("./logger");
+const { SCHEMA_VERSION, upgradeEntry, invalidEntry } = require("./IndexSchema");
+
+const MAGIC = "EDGEPROXY-CACHE-ARCHIVE/1\n";
+const FORMAT = 1;
+
+/**
+ * Portable cache snapshot (--export-cache / --import-cache).
+ *
+ * Layout:
+ *   MAGIC line
+ *   blob records, back to back (bytes as stored on disk, maybe compressed)
+ *   manifest JSON: { format, schema, createdAt, filters, entries, aliases, vary, blobs }
+ *   8-byte big-endian manifest length
+ *
+ * blobs maps blobHash → { offset, length, codec }, so the importer can
+ * verify each blob against its SHA-256 and skip the ones it already has.
+ */
+class CacheArchive {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Filters: { target, origin, maxAge } — maxAge in ms, compared to storedAt.
+   */
+  _matches(meta, filters) {
+    if (filters.target && meta.target !== filters.target) return false;
+    if (filters.origin && meta.origin !== filters.origin) return false;
+    if (filters.maxAge && Date.now() - (meta.storedAt || 0) > filters.maxAge) return false;
+    return true;
+  }
+
+  export(file, filters = {}) {
+    const storage = this.storage;
+    const summary = { entries: 0, aliases: 0, blobs: 0, bytes: 0, skipped: 0 };
+    const entries = {};
+    const blobs = {};
+
+    const fd = fs.openSync(file, "w");
+    try {
+      let offset = 0;
+      const write = buf => {
+        fs.writeSync(fd, buf);
+        offset += buf.length;
+      };
+      write(Buffer.from(MAGIC));
+
+      for (const [key, meta] of storage.index) {
+        if (!this._matches(meta, filters)) continue;
+        if (!blobs[meta.blobHash]) {
+          const stored = storage.readStoredBlob(meta.blobHash);
+          if (!stored) {
+            summary.skipped++;
+            continue;
+          }
+          blobs[meta.blobHash] = { offset, length: stored.data.length, codec: stored.codec };
+          write(stored.data);
+          summary.blobs++;
+          summary.bytes += stored.data.length;
+        }
+        entries[key] = meta;
+        summary.entries++;
+      }
+
+      const aliases = {};
+      for (const [aliasKey, target] of storage.aliasIndex) {
+        if (!entries[target]) continue;
+        aliases[aliasKey] = target;
+        summary.aliases++;
+      }
+
+      // Vary records of the variants we exported
+      const vary = {};
+      for (const meta of Object.values(entries)) {
+        const headers = meta.varyBase && storage.getVary(meta.varyBase);
+        if (headers) vary[meta.varyBase] = headers;
+      }
+
+      const manifest = Buffer.from(JSON.stringify({
+        format: FORMAT,
+        schema: SCHEMA_VERSION,
+        createdAt: Date.now(),
+        filters,
+        entries,
+        aliases,
+        vary,
+        blobs
+      }));
+      write(manifest);
+      const trailer = Buffer.alloc(8);
+      trailer.writeBigUInt64BE(BigInt(manifest.length));
+      write(trailer);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return summary;
+  }
+
+  /**
+   * Merge an archive into the cache. Entries already present with the same
+   * or a newer storedAt are kept; blobs we already hold are not rewritten.
+   */
+  import(file, filters = {}) {
+    const storage = this.storage;
+    const summary = { entries: 0, aliases: 0, blobs: 0, bytes: 0, skipped: 0, corrupt: 0 };
+
+    const fd = fs.openSync(file, "r");
+    try {
+      const manifest = this._readManifest(fd);
+      const verified = new Map();
+
+      for (const [key, raw] of Object.entries(manifest.entries)) {
+        // Entries are upgraded like index.json ones (archives predating the
+        // schema field are v0)
+        const meta = upgradeEntry(raw, manifest.schema || 0);
+        if (invalidEntry(meta)) {
+          summary.corrupt++;
+          continue;
+        }
+        if (!this._matches(meta, filters)) continue;
+        const existing = storage.index.get(key);
+        if (existing && (existing.storedAt || 0) >= (meta.storedAt || 0)) {
+          summary.skipped++;
+          continue;
+        }
+
+        let stored = null;
+        if (!storage.hasBlob(meta.blobHash)) {
+          stored = verified.get(meta.blobHash) || this._readBlob(fd, manifest.blobs[meta.blobHash], meta.blobHash);
+          if (!stored) {
+            summary.corrupt++;
+            continue;
+          }
+          verified.set(meta.blobHash, stored);
+          summary.blobs++;
+          summary.bytes += stored.data.length;
+        }
+        storage.importEntry(key, meta, stored || { data: Buffer.alloc(0), codec: null });
+        summary.entries++;
+      }
+
+      // Variants are only reachable through their base key's Vary record;
+      // one we already have is kept (setVary would drop our variants)
+      for (const [baseKey, headers] of Object.entries(manifest.vary || {})) {
+        if (!storage.getVary(baseKey)) storage.setVary(baseKey, headers);
+      }
+
+      for (const [aliasKey, target] of Object.entries(manifest.aliases || {})) {
+        if (!storage.index.has(target) || storage.resolveAlias(aliasKey) === target) continue;
+        storage.addAlias(aliasKey, target);
+        summary.aliases++;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    storage._evictIfNeeded();
+    return summary;
+  }
+
+  _readManifest(fd) {
+    const size = fs.fstatSync(fd).size;
+    const head = Buffer.alloc(MAGIC.length);
+    fs.readSync(fd, head, 0, head.length, 0);
+    if (head.toString() !== MAGIC || size < MAGIC.length + 8) {
+      throw new Error("Not an EdgeProxy cache archive");
+    }
+    const trailer = Buffer.alloc(8);
+    fs.readSync(fd, trailer, 0, 8, size - 8);
+    const length = Number(trailer.readBigUInt64BE());
+    const buf = Buffer.alloc(length);
+    fs.readSync(fd, buf, 0, length, size - 8 - length);
+    const manifest = JSON.parse(buf.toString("utf-8"));
+    if (manifest.format !== FORMAT) {
+      throw new Error(`Unsupported archive format ${manifest.format}`);
+    }
+    if ((manifest.schema || 0) > SCHEMA_VERSION) {
+      throw new Error(`Archive has index schema v${manifest.schema}; this EdgeProxy reads up to v${SCHEMA_VERSION}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Read one blob record and check it decodes to its content hash.
+   */
+  _readBlob(fd, rec, hash) {
+    if (!rec) return null;
+    const data = Buffer.alloc(rec.length);
+    fs.readSync(fd, data, 0, rec.length, rec.offset);
+    try {
+      const body = this.storage.decodeStored(data, rec.codec);
+      if (this.storage._blobHash(body) !== hash) return null;
+    } catch (err) {
+      log.debug("Archive", `Blob ${hash.substring(0, 12)} unreadable: ${err.message}`);
+      return null;
+    }
+    return { data, codec: rec.codec || null };
+  }
+}
+
+/**
+ * Parse an age filter: plain milliseconds or a number with s/m/h/d suffix.
+ */
+function parseAge(value) {
+  if (!value) return null;
+  const m = String(value).match(/^([\d.]+)\s*(ms|s|m|h|d)?$/i);
+  if (!m) throw new Error(`Invalid age "${value}" (use e.g. 3600000, 12h or 7d)`);
+  const mult = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.floor(parseFloat(m[1]) * mult[(m[2] || "ms").toLowerCase()]);
+}
+
+module.exports = { CacheArchive, parseAge };
@@ -0,0 +1,180 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { log } = require("./logger");
+const { pidAlive } = require("./CacheLock");
+
+const BLOB_NAME = /^[0-9a-f]{64}$/;
+const TEMP_NAME = /\.tmp\.(\d+)$/;
+
+/**
+ * Cache integrity checker (node index.js --fsck).
+ *
+ * Works on an initialized StorageEngine — the index and journal are
+ * already loaded — and repairs it in place:
+ *   1. remove temp files left by dead processes
+ *   2. re-hash every blob (warm and cold tier) against its SHA-256
+ *      filename, delete corrupt ones
+ *   3. delete blobs no index entry references, and cold copies of blobs
+ *      that are also in the warm tier
+ *   4. drop index entries whose blob is missing or corrupt
+ *   5. drop aliases pointing at keys that no longer exist
+ *   6. optionally rebuild entry sizes and the refcount table from the blobs
+ * Finishes with a compaction so the repaired index is a clean snapshot.
+ */
+class CacheFsck {
+  constructor(storage) {
+    this.storage = storage;
+    this.summary = {
+      blobsChecked: 0,
+      corruptBlobs: 0,
+      orphanBlobs: 0,
+      tempFiles: 0,
+      missingEntries: 0,
+      danglingAliases: 0,
+      resizedEntries: 0
+    };
+  }
+
+  run(opts = {}) {
+    const storage = this.storage;
+    // Orphan detection is only sound when no other process is writing
+    const siblings = storage.journal.liveSiblings();
+    if (siblings.length > 0) {
+      throw new Error(`Cache is in use by pid(s) ${siblings.join(", ")} — stop them before running --fsck`);
+    }
+    if (!storage.lock.tryAcquire()) {
+      throw new Error(`Cache is locked by pid ${storage.lock.owner()}`);
+    }
+    try {
+      return this._run(opts);
+    } finally {
+      storage.lock.release();
+    }
+  }
+
+  _run(opts) {
+    const storage = this.storage;
+    this._removeStaleTemps(storage.dir);
+
+    // blobHash → decoded size, for every blob that verified
+    const valid = new Map();
+    const tiers = [["warm", storage.blobDir]];
+    if (storage.coldBlobDir) tiers.push(["cold", storage.coldBlobDir]);
+    for (const [tier, blobDir] of tiers) {
+      for (const shard of this._readdir(blobDir)) {
+        if (!shard.isDirectory()) continue;
+        const shardDir = path.join(blobDir, shard.name);
+        this._removeStaleTemps(shardDir);
+        for (const file of this._readdir(shardDir)) {
+          if (!file.isFile() || !BLOB_NAME.test(file.name)) continue;
+          if (tier === "cold" && valid.has(file.name)) {
+            // Leftover from an interrupted promotion — warm copy wins
+            this._unlink(path.join(shardDir, file.name));
+            this.summary.orphanBlobs++;
+            continue;
+          }
+          this._checkBlob(path.join(shardDir, file.name), file.name, valid);
+        }
+      }
+    }
+
+    for (const [key, meta] of [...storage.index]) {
+      if (!valid.has(meta.blobHash)) {
+        storage.remove(key);
+        this.summary.missingEntries++;
+      }
+    }
+
+    for (const [aliasKey, target] of [...storage.aliasIndex]) {
+      if (!storage.index.has(target)) {
+        storage.removeAlias(aliasKey);
+        this.summary.danglingAliases++;
+      }
+    }
+
+    if (opts.rebuildIndex) this._rebuild(valid);
+
+    storage.compact();
+    return this.summary;
+  }
+
+  _checkBlob(file, hash, valid) {
+    const storage = this.storage;
+    if (!storage.blobRefs.has(hash)) {
+      this._unlink(file);
+      this.summary.orphanBlobs++;
+      return;
+    }
+    this.summary.blobsChecked++;
+    let body = null;
+    try {
+      body = storage._decode(fs.readFileSync(file), hash);
+    } catch (err) {
+      log.debug("Fsck", `Blob ${hash.substring(0, 12)} unreadable: ${err.message}`);
+    }
+    if (!body || storage._blobHash(body) !== hash) {
+      storage._ramDelete(hash);
+      this._unlink(file);
+      this.summary.corruptBlobs++;
+      return;
+    }
+    valid.set(hash, body.length);
+  }
+
+  /**
+   * Rewrite entry sizes from the verified blobs, then recompute refcounts
+   * and size totals from scratch.
+   */
+  _rebuild(valid) {
+    const storage = this.storage;
+    for (const [key, meta] of storage.index) {
+      const size = valid.get(meta.blobHash);
+      if (size === undefined || size === meta.size) continue;
+      meta.size = size;
+      if (!meta.codec) meta.diskSize = size;
+      storage._journal({ op: "patch", key, fields: { size, diskSize: meta.diskSize } });
+      this.summary.resizedEntries++;
+    }
+    storage.rebuildBlobRefs();
+    this.summary.rebuilt = true;
+  }
+
+  /**
+   * Temp files (<name>.tmp.<pid>) whose writer is no longer running.
+   */
+  _removeStaleTemps(dir) {
+    for (const file of this._readdir(dir)) {
+      const m = file.isFile() && file.name.match(TEMP_NAME);
+      if (!m || pidAlive(parseInt(m[1]))) continue;
+      this._unlink(path.join(dir, file.name));
+      this.summary.tempFiles++;
+    }
+  }
+
+  _readdir(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true });
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _unlink(file) {
+    try { fs.unlinkSync(file); } catch (_) {}
+  }
+
+  format() {
+    const s = this.summary;
+    let out = `Blobs checked: ${s.blobsChecked} | Corrupt removed: ${s.corruptBlobs} | Orphans removed: ${s.orphanBlobs}\n`;
+    out += `Stale temp files removed: ${s.tempFiles}\n`;
+    out += `Entries dropped (missing/corrupt blob): ${s.missingEntries}\n`;
+    out += `Dangling aliases removed: ${s.danglingAliases}\n`;
+    if (s.rebuilt) out += `Index rebuilt: ${s.resizedEntries} entry size(s) corrected, refcounts recomputed\n`;
+    out += `Cache now: ${this.storage.index.size} entries, ${this.storage.aliasIndex.size} aliases, ${this.storage.blobRefs.size} blobs`;
+    return out;
+  }
+}
+
+module.exports = { CacheFsck };
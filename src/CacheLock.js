@@ -0,0 +1,87 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Is a process with this pid still running?
+ */
+function pidAlive(pid) {
+  if (!pid) return false;
+  if (pid === process.pid) return true;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Advisory lock file shared by every EdgeProxy process using one CACHE_DIR.
+ * Created with O_EXCL; a lock whose owner pid is gone is taken over.
+ * Guards snapshot compaction and maintenance commands, not per-request work.
+ * Re-entrant within a process: a maintenance command holding it can call
+ * compact(), and the lock is only released by the outermost release().
+ */
+class CacheLock {
+  constructor(dir, name = "index.lock") {
+    this.path = path.join(dir, name);
+    this.held = false;
+    this.depth = 0;
+  }
+
+  tryAcquire() {
+    if (this.held) {
+      this.depth++;
+      return true;
+    }
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = fs.openSync(this.path, "wx");
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: Date.now() }));
+        fs.closeSync(fd);
+        this.held = true;
+        this.depth = 1;
+        return true;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        if (!this._isStale()) return false;
+        try { fs.unlinkSync(this.path); } catch (_) {}
+      }
+    }
+    return false;
+  }
+
+  release() {
+    if (!this.held) return;
+    if (--this.depth > 0) return;
+    this.held = false;
+    try { fs.unlinkSync(this.path); } catch (_) {}
+  }
+
+  /**
+   * pid of the current holder, or null.
+   */
+  owner() {
+    try {
+      return JSON.parse(fs.readFileSync(this.path, "utf-8")).pid || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _isStale() {
+    const pid = this.owner();
+    if (pid) return !pidAlive(pid);
+    // Unreadable lock: either being written right now or the owner died
+    // between create and write — only the latter leaves it sitting around.
+    try {
+      return Date.now() - fs.statSync(this.path).mtimeMs > 5000;
+    } catch (_) {
+      return true;
+    }
+  }
+}
+
+module.exports = { CacheLock, pidAlive };
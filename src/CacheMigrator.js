@@ -0,0 +1,233 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { log } = require("./logger");
+const { URLNormalizer } = require("./URLNormalizer");
+
+/**
+ * Imports caches written by older EdgeProxy storage engines
+ * (node index.js --migrate-cache [dir]).
+ *
+ * Layouts:
+ *   lib        lib/StorageEngine.js      index/<md5>.json + blobs/<sha256>.bin
+ *   lib-core   lib/core/StorageEngine.js <md5>.meta.json + <md5>.bin pairs
+ *   src-cache  src/cache/StorageEngine.js index.json (hash/cachedAt) + blobs/ab/cd/<sha256>
+ *
+ * Legacy keys are full URLs; they are re-keyed with the current classifier
+ * and URLNormalizer so the request handler finds them. The source files are
+ * left in place.
+ */
+class CacheMigrator {
+  constructor(storage, classifier) {
+    this.storage = storage;
+    this.classifier = classifier;
+    this.normalizer = new URLNormalizer();
+    this.summary = { imported: 0, bytes: 0, byLayout: {}, skipped: {} };
+  }
+
+  /**
+   * Which legacy layouts does a directory contain? (lib and lib-core both
+   * defaulted to data/cachestorage, so one dir may hold two.)
+   */
+  static detect(dir) {
+    const layouts = [];
+    const has = p => fs.existsSync(path.join(dir, p));
+    if (has("index") && has("blobs") && fs.statSync(path.join(dir, "index")).isDirectory()) {
+      layouts.push("lib");
+    }
+    try {
+      if (fs.readdirSync(dir).some(f => f.endsWith(".meta.json"))) layouts.push("lib-core");
+    } catch (_) {}
+    for (const name of ["index.legacy.json", "index.json"]) {
+      if (has(name) && CacheMigrator._isSrcCacheIndex(path.join(dir, name))) {
+        layouts.push("src-cache");
+        break;
+      }
+    }
+    return layouts;
+  }
+
+  static _isSrcCacheIndex(file) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+      const first = Object.values(raw)[0];
+      return !!first && typeof first.hash === "string" && !first.blobHash && first.cachedAt !== undefined;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * A src/cache index.json sitting in the live CACHE_DIR must be moved aside
+   * before it is loaded — its entries would fail validation and be
+   * quarantined. StorageEngine.init() calls this on every start; true if
+   * one was moved.
+   */
+  static setAsideLiveIndex(cacheDir) {
+    const live = path.join(cacheDir, "index.json");
+    if (!fs.existsSync(live) || !CacheMigrator._isSrcCacheIndex(live)) return false;
+    fs.renameSync(live, path.join(cacheDir, "index.legacy.json"));
+    log.info("Migrate", "Moved legacy src/cache index.json aside → index.legacy.json");
+    return true;
+  }
+
+  async migrate(dir) {
+    const layouts = CacheMigrator.detect(dir);
+    if (layouts.length === 0) {
+      log.warn("Migrate", `No legacy cache layout found in ${dir}`);
+      return this.summary;
+    }
+    for (const layout of layouts) {
+      log.info("Migrate", `Importing ${layout} layout from ${dir}`);
+      const records = {
+        "lib": () => this._readLib(dir),
+        "lib-core": () => this._readLibCore(dir),
+        "src-cache": () => this._readSrcCache(dir)
+      }[layout]();
+      for (const rec of records) {
+        await this._import(layout, rec);
+      }
+    }
+    return this.summary;
+  }
+
+  // lib/StorageEngine.js: { canonicalKey, hash, contentType, status, headers, size, cachedAt, origin, resourceType }
+  *_readLib(dir) {
+    for (const file of this._list(path.join(dir, "index"), ".json")) {
+      const meta = this._readJSON(file);
+      if (!meta) { yield { error: "unreadable meta" }; continue; }
+      yield {
+        url: meta.canonicalKey,
+        blobFile: path.join(dir, "blobs", meta.hash + ".bin"),
+        hash: meta.hash,
+        status: meta.status || 200,
+        headers: meta.headers || { "content-type": meta.contentType },
+        storedAt: meta.cachedAt,
+        resourceType: meta.resourceType
+      };
+    }
+  }
+
+  // lib/core/StorageEngine.js: { key, contentType, resourceType, classification, url (shortened), cachedAt }
+  *_readLibCore(dir) {
+    for (const file of this._list(dir, ".meta.json")) {
+      const meta = this._readJSON(file);
+      if (!meta) { yield { error: "unreadable meta" }; continue; }
+      yield {
+        url: meta.key,
+        blobFile: file.replace(/\.meta\.json$/, ".bin"),
+        hash: null,
+        status: 200,
+        headers: meta.contentType ? { "content-type": meta.contentType } : {},
+        storedAt: meta.cachedAt,
+        resourceType: meta.resourceType
+      };
+    }
+  }
+
+  // src/cache/StorageEngine.js: index.json { url: { status, headers, hash, size, cachedAt } }
+  *_readSrcCache(dir) {
+    const indexFile = fs.existsSync(path.join(dir, "index.legacy.json"))
+      ? path.join(dir, "index.legacy.json")
+      : path.join(dir, "index.json");
+    const index = this._readJSON(indexFile) || {};
+    for (const [url, meta] of Object.entries(index)) {
+      const h = meta.hash || "";
+      yield {
+        url,
+        blobFile: path.join(dir, "blobs", h.substring(0, 2), h.substring(2, 4), h),
+        hash: h,
+        status: meta.status || 200,
+        headers: meta.headers || {},
+        storedAt: meta.cachedAt,
+        resourceType: null
+      };
+    }
+  }
+
+  async _import(layout, rec) {
+    if (rec.error) return this._skip(rec.error);
+    let parsed;
+    try {
+      parsed = new URL(rec.url);
+    } catch (_) {
+      return this._skip("invalid url");
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return this._skip("invalid url");
+    if (rec.status < 200 || rec.status >= 300) return this._skip(`status ${rec.status}`);
+
+    let body;
+    try {
+      body = fs.readFileSync(rec.blobFile);
+    } catch (_) {
+      return this._skip("missing blob");
+    }
+    if (body.length === 0) return this._skip("empty body");
+    if (rec.hash && crypto.createHash("sha256").update(body).digest("hex") !== rec.hash) {
+      return this._skip("corrupt blob");
+    }
+
+    const url = rec.url;
+    const headers = {};
+    for (const [k, v] of Object.entries(rec.headers)) headers[k.toLowerCase()] = v;
+    const resourceType = rec.resourceType || this._guessResourceType(headers["content-type"]);
+    const classification = this.classifier.classify(url, resourceType);
+    if (classification.class !== "C") return this._skip(`class ${classification.class} (bypassed)`);
+
+    const cacheKey = this.storage.urlToKey(this.normalizer.canonicalKey(url, classification.origin));
+    const existing = this.storage.peekMeta(cacheKey);
+    if (existing && (existing.storedAt || 0) >= (rec.storedAt || 0)) return this._skip("already cached");
+
+    const aliasKey = this.normalizer.aliasKey(url);
+    await this.storage.put(cacheKey, url, body, headers, resourceType, classification.origin, aliasKey, {}, classification.target);
+    if (rec.storedAt) this.storage.setStoredAt(cacheKey, rec.storedAt);
+    this.summary.imported++;
+    this.summary.bytes += body.length;
+    this.summary.byLayout[layout] = (this.summary.byLayout[layout] || 0) + 1;
+  }
+
+  _guessResourceType(contentType) {
+    const ct = (contentType || "").toLowerCase();
+    if (ct.startsWith("image/")) return "image";
+    if (ct.includes("css")) return "stylesheet";
+    if (ct.includes("javascript") || ct.includes("ecmascript")) return "script";
+    if (ct.includes("font")) return "font";
+    if (ct.startsWith("video/") || ct.startsWith("audio/")) return "media";
+    return "other";
+  }
+
+  _skip(reason) {
+    this.summary.skipped[reason] = (this.summary.skipped[reason] || 0) + 1;
+  }
+
+  _list(dir, suffix) {
+    try {
+      return fs.readdirSync(dir).filter(f => f.endsWith(suffix)).map(f => path.join(dir, f));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _readJSON(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  format() {
+    const s = this.summary;
+    let out = `Imported: ${s.imported} entries (${(s.bytes / 1024 / 1024).toFixed(1)} MB)`;
+    for (const [layout, n] of Object.entries(s.byLayout)) out += `\n  ${layout}: ${n}`;
+    const skipped = Object.entries(s.skipped);
+    const total = skipped.reduce((n, [, c]) => n + c, 0);
+    out += `\nSkipped: ${total}`;
+    for (const [reason, n] of skipped) out += `\n  ${reason}: ${n}`;
+    return out;
+  }
+}
+
+module.exports = { CacheMigrator };
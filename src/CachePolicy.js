@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+ * Per-response storability and freshness lifetime (RFC 9111, as seen by a
+ * shared cache sitting in front of the browser).
+ *
+ * Directives come from the most specific header present:
+ *   CDN-Cache-Control > Surrogate-Control > Cache-Control
+ * Lifetime: s-maxage > max-age > Expires − Date, minus the response's Age.
+ * Without an explicit lifetime the global cache.maxAge applies, as before.
+ *
+ * cache.freshness clamps lifetimes to [minTTL, maxTTL] (0 = no bound), and
+ * per-origin-class overrides replace the lifetime outright — ad creatives
+ * routinely send no-store / max-age=0 for bytes that never change.
+ *
+ * cache.statuses opts into storing permanent redirects (301/308 with a
+ * Location) and 404/410 for static asset types. Those live by their
+ * status's TTL, or less if the response's own lifetime is shorter.
+ */
+
+/**
+ * Parse a Cache-Control style header into { directive: value | true }.
+ * Directive names are lowercased; quoted values are unquoted.
+ */
+function parseCacheControl(value) {
+  const out = {};
+  if (!value) return out;
+  for (const part of String(value).split(",")) {
+    const eq = part.indexOf("=");
+    const name = (eq === -1 ? part : part.substring(0, eq)).trim().toLowerCase();
+    if (!name) continue;
+    if (eq === -1) {
+      out[name] = true;
+    } else {
+      out[name] = part.substring(eq + 1).trim().replace(/^"(.*)"$/, "$1");
+    }
+  }
+  return out;
+}
+
+function seconds(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+class CachePolicy {
+  constructor(cacheConfig = {}) {
+    const freshness = cacheConfig.freshness || {};
+    this.defaultTTL = cacheConfig.maxAge || 86400000;
+    this.minTTL = freshness.minTTL || 0;
+    this.maxTTL = freshness.maxTTL || 0;
+    // origin class → { ttl, ignoreNoStore, ignorePrivate }
+    this.overrides = freshness.origins || {};
+
+    const statuses = cacheConfig.statuses || {};
+    this.cacheRedirects = !!statuses.redirects;
+    this.cacheNegative = !!statuses.negative;
+    this.negativeTypes = new Set(statuses.negativeTypes || ["image", "script", "stylesheet", "font", "media"]);
+    this.statusTTL = { 301: 86400000, 308: 86400000, 404: 300000, 410: 300000, ...(statuses.ttl || {}) };
+  }
+
+  /**
+   * May a non-2xx response with this status be stored at all?
+   */
+  storableStatus(status, resourceType, headers = {}) {
+    if (status === 301 || status === 308) return this.cacheRedirects && !!headers.location;
+    if (status === 404 || status === 410) return this.cacheNegative && this.negativeTypes.has(resourceType);
+    return false;
+  }
+
+  /**
+   * Directives governing this response. A CDN-targeted header, when present,
+   * replaces Cache-Control entirely (RFC 9213).
+   */
+  directives(headers) {
+    for (const name of ["cdn-cache-control", "surrogate-control"]) {
+      if (headers[name]) return parseCacheControl(headers[name]);
+    }
+    return parseCacheControl(headers["cache-control"]);
+  }
+
+  /**
+   * → { store, reason, ttl, mustRevalidate, immutable, staleWhileRevalidate, staleIfError }
+   * staleWhileRevalidate / staleIfError are the response's own windows in
+   * ms, or null.
+   * store=false means the response must not be written to the cache;
+   * reason names the directive responsible.
+   */
+  evaluate(headers = {}, origin, status = 200) {
+    const cc = this.directives(headers);
+    const override = this.overrides[origin] || {};
+    const swr = seconds(cc["stale-while-revalidate"]);
+    const sie = seconds(cc["stale-if-error"]);
+    const result = {
+      store: true,
+      reason: null,
+      ttl: this.defaultTTL,
+      mustRevalidate: !!(cc["must-revalidate"] || cc["proxy-revalidate"]),
+      immutable: !!cc.immutable,
+      staleWhileRevalidate: swr === null ? null : swr * 1000,
+      staleIfError: sie === null ? null : sie * 1000
+    };
+
+    // Vary: * — no later request can be proven to match
+    if (String(headers.vary || "").split(",").some(v => v.trim() === "*")) {
+      return { ...result, store: false, reason: "vary-*" };
+    }
+    if (cc["no-store"] && !override.ignoreNoStore) return { ...result, store: false, reason: "no-store" };
+    // Separate switch: private means per-user, and this cache is shared
+    if (cc.private && !override.ignorePrivate) return { ...result, store: false, reason: "private" };
+
+    // Origin-class overrides must not stretch a cached 404 to a day
+    const statusTTL = status === 200 ? undefined : this.statusTTL[status];
+    if (typeof statusTTL === "number") {
+      const lifetime = cc["no-cache"] ? 0 : this._lifetime(cc, headers);
+      result.ttl = lifetime === null ? statusTTL : Math.min(lifetime, statusTTL);
+      return result;
+    }
+
+    if (typeof override.ttl === "number") {
+      result.ttl = override.ttl;
+      return result;
+    }
+    if (cc["no-cache"]) {
+      // Storable, but every use needs revalidation
+      result.ttl = 0;
+      return result;
+    }
+
+    const lifetime = this._lifetime(cc, headers);
+    if (lifetime !== null) {
+      result.ttl = lifetime;
+    } else if (result.immutable && this.maxTTL > 0) {
+      result.ttl = this.maxTTL;
+    }
+    if (this.minTTL > 0) result.ttl = Math.max(result.ttl, this.minTTL);
+    if (this.maxTTL > 0) result.ttl = Math.min(result.ttl, this.maxTTL);
+    return result;
+  }
+
+  /**
+   * Explicit freshness lifetime in ms, already reduced by Age, or null.
+   */
+  _lifetime(cc, headers) {
+    let lifetime = null;
+    const sMaxAge = seconds(cc["s-maxage"]);
+    const maxAge = seconds(cc["max-age"]);
+    if (sMaxAge !== null) {
+      lifetime = sMaxAge * 1000;
+    } else if (maxAge !== null) {
+      lifetime = maxAge * 1000;
+    } else if (headers.expires) {
+      // Invalid dates (e.g. "0") mean already expired
+      const expires = Date.parse(headers.expires);
+      const date = Date.parse(headers.date) || Date.now();
+      lifetime = Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+    }
+    if (lifetime === null) return null;
+    const age = seconds(headers.age) || 0;
+    return Math.max(0, lifetime - age * 1000);
+  }
+}
+
+module.exports = { CachePolicy, parseCacheControl };
@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * CORS headers of shared cache entries. An entry answers every page that
+ * asks for its URL, so the Access-Control-Allow-Origin the origin sent to
+ * the first requester is not necessarily right for the next one.
+ *
+ * Each entry records what its ACAO meant (describeCors):
+ *   any   — "*": valid for every requester, replayed as is
+ *   echo  — the requesting page's Origin: rewritten to each requester's
+ *           Origin on replay
+ *   fixed — some other origin: replayed as is, as the origin would
+ * Credentialed responses (Access-Control-Allow-Credentials: true) are
+ * keyed per Origin and their CORS headers are never replayed to another.
+ */
+
+const ACAO = "access-control-allow-origin";
+const ACAC = "access-control-allow-credentials";
+
+/**
+ * → { mode, origin, credentials } for a response to a request sent with
+ * Origin `requestOrigin`, or null when it carries no ACAO.
+ */
+function describeCors(respHeaders, requestOrigin) {
+  const allowed = String(respHeaders[ACAO] || "").trim();
+  if (!allowed) return null;
+  let mode = "fixed";
+  if (allowed === "*") mode = "any";
+  else if (requestOrigin && allowed === requestOrigin) mode = "echo";
+  return {
+    mode,
+    origin: requestOrigin || null,
+    credentials: String(respHeaders[ACAC] || "").trim().toLowerCase() === "true"
+  };
+}
+
+/**
+ * The Vary header list an entry should be keyed by. Origin is dropped
+ * where replayCors() can produce the right headers for any requester, and
+ * added for credentialed responses, which must stay with their origin.
+ */
+function corsVary(vary, cors) {
+  const names = new Set(vary);
+  if (cors && cors.credentials) names.add("origin");
+  else if (cors && cors.mode !== "fixed") names.delete("origin");
+  return [...names].sort();
+}
+
+/**
+ * Stored headers adjusted for the current request's Origin → { headers,
+ * outcome }; outcome is "rewritten", "withheld" or null (unchanged).
+ */
+function replayCors(headers, cors, requestOrigin) {
+  if (!cors) return { headers, outcome: null };
+  const out = { ...headers };
+  if (cors.credentials && requestOrigin !== cors.origin) {
+    delete out[ACAO];
+    delete out[ACAC];
+    return { headers: out, outcome: "withheld" };
+  }
+  if (cors.mode !== "echo" || !requestOrigin || out[ACAO] === requestOrigin) {
+    return { headers: out, outcome: null };
+  }
+  out[ACAO] = requestOrigin;
+  // The answer now depends on Origin — tell the browser's own cache
+  const vary = String(out["vary"] || "").split(",").map(v => v.trim()).filter(Boolean);
+  if (!vary.some(v => v.toLowerCase() === "origin")) out["vary"] = [...vary, "Origin"].join(", ");
+  return { headers: out, outcome: "rewritten" };
+}
+
+module.exports = { describeCors, corsVary, replayCors };
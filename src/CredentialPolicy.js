@@ -0,0 +1,98 @@
+"use strict";
+
+const crypto = require("crypto");
+const { parseCacheControl } = require("./CachePolicy");
+
+/**
+ * Keeps credential-dependent responses out of the shared cache. The cache
+ * is shared across browsers and profiles, so a response that may differ
+ * per user must not be replayed to another one. A response depends on
+ * credentials when it sets a cookie, or when its request carried
+ * Authorization or a session cookie — unless it says `public` (or, for
+ * Authorization, `s-maxage` / `must-revalidate`, RFC 9111 §3.5).
+ *
+ * cache.credentials.mode decides what happens to those:
+ *   "scope"  → stored, keyed by the request's credential scope (a hash of
+ *              its Authorization and session cookies), like a Vary variant;
+ *              a request with no credentials has no scope to isolate its
+ *              response in, so those (a Set-Cookie answer) are not stored
+ *   "refuse" → not stored
+ * Hosts in allowHosts (and their subdomains) are known not to personalise
+ * and are always shared.
+ */
+
+// Synthetic request header carrying the credential scope. Only ever used
+// for cache keys — it is never sent to an origin.
+const SCOPE_HEADER = "x-edgeproxy-credential-scope";
+
+class CredentialPolicy {
+  constructor(config = {}) {
+    this.mode = config.mode === "refuse" ? "refuse" : "scope";
+    this.allowHosts = (config.allowHosts || []).map(h => h.toLowerCase());
+    // Cookie names containing any of these are session cookies
+    this.sessionCookies = (config.sessionCookies || ["session", "sess", "sid", "auth", "token", "login"])
+      .map(s => s.toLowerCase());
+  }
+
+  /**
+   * Credentials a request carries (pass request.allHeaders() — headers()
+   * hides cookies) → { id, reason }. id is "" for anonymous requests;
+   * reason is "authorization", "cookie" or null.
+   */
+  requestScope(headers) {
+    const authorization = headers["authorization"] || "";
+    const cookies = this._sessionCookies(headers["cookie"]);
+    if (!authorization && cookies.length === 0) return { id: "", reason: null };
+    const id = crypto.createHash("sha256")
+      .update(`${authorization}\n${cookies.join("; ")}`)
+      .digest("hex").substring(0, 16);
+    return { id, reason: authorization ? "authorization" : "cookie" };
+  }
+
+  /**
+   * → { store, scoped, reason } for a response to a request whose
+   * requestScope() is `scope`.
+   */
+  evaluate(url, scope, respHeaders = {}) {
+    if (this.isAllowed(url)) return { store: true, scoped: false, reason: null };
+    const cc = parseCacheControl(respHeaders["cache-control"]);
+    let reason = null;
+    if (respHeaders["set-cookie"]) {
+      reason = "set-cookie";
+    } else if (scope.reason === "authorization") {
+      if (!cc.public && !cc["s-maxage"] && !cc["must-revalidate"]) reason = "authorization";
+    } else if (scope.reason === "cookie") {
+      if (!cc.public) reason = "cookie";
+    }
+    if (!reason) return { store: true, scoped: false, reason: null };
+    if (this.mode === "refuse" || !scope.id) return { store: false, scoped: false, reason };
+    return { store: true, scoped: true, reason };
+  }
+
+  isAllowed(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+    return this.allowHosts.some(d => hostname === d || hostname.endsWith("." + d));
+  }
+
+  /**
+   * Session cookie pairs of a Cookie header, sorted so their order in the
+   * header doesn't matter.
+   */
+  _sessionCookies(header) {
+    if (!header) return [];
+    return String(header).split(";")
+      .map(pair => pair.trim())
+      .filter(pair => {
+        const name = pair.split("=")[0].toLowerCase();
+        return name && this.sessionCookies.some(s => name.includes(s));
+      })
+      .sort();
+  }
+}
+
+module.exports = { CredentialPolicy, SCOPE_HEADER };
@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * Eviction policies — each assigns a priority to index metadata;
+ * StorageEngine evicts the lowest priorities first.
+ *
+ * Per-entry bookkeeping lives on the meta itself (lastAccess, hits,
+ * priority) so it is persisted through the index journal.
+ */
+
+/**
+ * LRU — least recently accessed first. Falls back to storedAt for entries
+ * written before access tracking existed.
+ */
+class LRUPolicy {
+  constructor() {
+    this.name = "lru";
+  }
+
+  onInsert(meta, prev) {
+    meta.hits = prev ? (prev.hits || 0) : 0;
+    meta.lastAccess = Date.now();
+  }
+
+  onAccess(meta) {
+    meta.hits = (meta.hits || 0) + 1;
+    meta.lastAccess = Date.now();
+  }
+
+  onEvict() {}
+
+  priority(meta) {
+    return meta.lastAccess || meta.storedAt || 0;
+  }
+
+  restore() {}
+}
+
+/**
+ * Shared base for the aging policies: priority = clock + value(meta).
+ * The clock is raised to the priority of each evicted entry, so old
+ * popularity decays relative to newly inserted objects.
+ */
+class AgingPolicy {
+  constructor() {
+    this.clock = 0;
+  }
+
+  _value() {
+    return 0;
+  }
+
+  onInsert(meta, prev) {
+    meta.hits = prev ? (prev.hits || 1) : 1;
+    meta.lastAccess = Date.now();
+    meta.priority = this.clock + this._value(meta);
+  }
+
+  onAccess(meta) {
+    meta.hits = (meta.hits || 0) + 1;
+    meta.lastAccess = Date.now();
+    meta.priority = this.clock + this._value(meta);
+  }
+
+  onEvict(meta) {
+    this.clock = Math.max(this.clock, this.priority(meta));
+  }
+
+  priority(meta) {
+    if (typeof meta.priority === "number") return meta.priority;
+    return this._value(meta);
+  }
+
+  /**
+   * Recover the clock after a restart: the lowest surviving priority is
+   * where the clock stood when the last eviction stopped.
+   */
+  restore(index) {
+    let min = Infinity;
+    for (const [, meta] of index) {
+      const p = this.priority(meta);
+      if (p < min) min = p;
+    }
+    this.clock = min === Infinity ? 0 : min;
+  }
+}
+
+/**
+ * LFU with dynamic aging (LFU-DA) — value is the hit count.
+ */
+class LFUPolicy extends AgingPolicy {
+  constructor() {
+    super();
+    this.name = "lfu";
+  }
+
+  _value(meta) {
+    return meta.hits || 1;
+  }
+}
+
+/**
+ * GreedyDual-Size-Frequency — value is hits × cost / size with unit cost,
+ * so a large object needs proportionally more hits to stay cached.
+ * Size is taken in KB to keep priorities in a readable range.
+ */
+class GDSFPolicy extends AgingPolicy {
+  constructor() {
+    super();
+    this.name = "gdsf";
+  }
+
+  _value(meta) {
+    const sizeKB = Math.max((meta.size || 0) / 1024, 1);
+    return (meta.hits || 1) / sizeKB;
+  }
+}
+
+const POLICIES = {
+  lru: LRUPolicy,
+  lfu: LFUPolicy,
+  gdsf: GDSFPolicy
+};
+
+function createEvictionPolicy(name) {
+  const Policy = POLICIES[(name || "lru").toLowerCase()];
+  if (!Policy) throw new Error(`Unknown eviction policy "${name}" (expected ${Object.keys(POLICIES).join(", ")})`);
+  return new Policy();
+}
+
+module.exports = { LRUPolicy, LFUPolicy, GDSFPolicy, createEvictionPolicy };
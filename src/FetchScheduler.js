@@ -0,0 +1,124 @@
+"use strict";
+
+const { log } = require("./logger");
+
+/**
+ * Runs origin fetches under a global and a per-host concurrency cap, in
+ * arrival order per host. A fetch that throws (dropped connection, reset
+ * TLS, …) or returns a result `retryable` accepts is retried up to
+ * `retries` times with full-jitter exponential backoff; its slot is given
+ * up while it waits. All fetches here are GETs, so retrying is safe.
+ */
+class FetchScheduler {
+  constructor(opts = {}) {
+    this.perHost = opts.perHost || 8;
+    this.global = opts.global || 64;
+    this.retries = typeof opts.retries === "number" ? opts.retries : 2;
+    this.baseDelayMs = opts.baseDelayMs || 250;
+    this.maxDelayMs = opts.maxDelayMs || 4000;
+    // Optional hooks for reporting: onRetry(host, attempt, reason), onGiveUp(host), onDepth(depth)
+    this.onRetry = opts.onRetry || (() => {});
+    this.onGiveUp = opts.onGiveUp || (() => {});
+    this.onDepth = opts.onDepth || (() => {});
+    this.active = 0;
+    // host → fetches running
+    this.activeByHost = new Map();
+    // Waiting for a slot: { host, start }
+    this.queue = [];
+  }
+
+  get depth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Run `task` (async fn → result) for `url` once a slot is free.
+   * Resolves with the last attempt's result, or rejects with its error.
+   */
+  async run(url, task, retryable = () => false) {
+    const host = hostOf(url);
+    for (let attempt = 0; ; attempt++) {
+      await this._acquire(host);
+      let result, error;
+      try {
+        result = await task();
+      } catch (err) {
+        error = err;
+      } finally {
+        this._release(host);
+      }
+      const failed = error || retryable(result);
+      if (!failed) return result;
+      if (attempt >= this.retries) {
+        this.onGiveUp(host);
+        if (error) throw error;
+        return result;
+      }
+      const reason = error ? error.message : `status ${result.status}`;
+      this.onRetry(host, attempt + 1, reason);
+      log.debug("Fetch", `Retry ${attempt + 1}/${this.retries} for ${host}: ${reason}`);
+      await sleep(this._backoff(attempt));
+    }
+  }
+
+  _backoff(attempt) {
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * cap);
+  }
+
+  _acquire(host) {
+    return new Promise(start => {
+      this.queue.push({ host, start });
+      this._next();
+    });
+  }
+
+  _release(host) {
+    this.active--;
+    const n = this.activeByHost.get(host) - 1;
+    if (n > 0) this.activeByHost.set(host, n);
+    else this.activeByHost.delete(host);
+    this._next();
+  }
+
+  /**
+   * Start queued fetches whose host has room, oldest first. A busy host
+   * does not hold up the ones behind it.
+   */
+  _next() {
+    for (let i = 0; i < this.queue.length && this.active < this.global; ) {
+      const { host, start } = this.queue[i];
+      if (!this._free(host)) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this._take(host);
+      start();
+    }
+    this.onDepth(this.queue.length);
+  }
+
+  _free(host) {
+    return this.active < this.global && (this.activeByHost.get(host) || 0) < this.perHost;
+  }
+
+  _take(host) {
+    this.active++;
+    this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { FetchScheduler };
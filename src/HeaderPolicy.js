@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * Which response headers are stored with a cache entry (and so replayed
+ * on every hit). Configured in cache.headers:
+ *
+ *   allow / deny               — base lists
+ *   origins.<class>.allow/deny — extra lists for an origin class (self / ad / thirdparty)
+ *   types.<resourceType>.allow/deny — extra lists for a resource type
+ *
+ * A header is kept when some applicable allow list matches it and no
+ * applicable deny list does. Entries are lowercase names; a trailing "*"
+ * matches by prefix ("access-control-*"). Headers that describe the bytes
+ * on the wire or belong to one client are never kept, whatever the lists
+ * say: bodies are stored decoded, and the cache is shared.
+ */
+
+const ALWAYS_STRIPPED = new Set([
+  "content-encoding", "content-length", "transfer-encoding",
+  "set-cookie", "set-cookie2",
+  "connection", "keep-alive", "proxy-authenticate", "proxy-authorization", "te", "trailer", "upgrade"
+]);
+
+// Used when config/default.json has no cache.headers section
+const DEFAULT_ALLOW = [
+  "content-type", "cache-control", "etag", "last-modified", "vary", "location",
+  "access-control-*", "timing-allow-origin", "x-content-type-options"
+];
+
+class HeaderPolicy {
+  constructor(config = {}) {
+    this.allow = compile(config.allow || DEFAULT_ALLOW);
+    this.deny = compile(config.deny || []);
+    this.origins = compileScopes(config.origins);
+    this.types = compileScopes(config.types);
+  }
+
+  /**
+   * → { kept, dropped } for a response of this origin class / resource type.
+   * `dropped` lists the names that were present but not kept.
+   */
+  pick(headers, origin, resourceType) {
+    const scopes = [this.origins[origin], this.types[resourceType]].filter(Boolean);
+    const allow = [this.allow, ...scopes.map(s => s.allow)];
+    const deny = [this.deny, ...scopes.map(s => s.deny)];
+    const kept = {};
+    const dropped = [];
+    for (const [rawName, value] of Object.entries(headers)) {
+      const name = rawName.toLowerCase();
+      const keep = !ALWAYS_STRIPPED.has(name)
+        && allow.some(list => matches(list, name))
+        && !deny.some(list => matches(list, name));
+      if (keep) kept[name] = value;
+      else dropped.push(name);
+    }
+    return { kept, dropped };
+  }
+}
+
+function compile(names) {
+  const exact = new Set();
+  const prefixes = [];
+  for (const raw of names) {
+    const name = String(raw).trim().toLowerCase();
+    if (name.endsWith("*")) prefixes.push(name.slice(0, -1));
+    else if (name) exact.add(name);
+  }
+  return { exact, prefixes };
+}
+
+function compileScopes(scopes = {}) {
+  const out = {};
+  for (const [key, lists] of Object.entries(scopes)) {
+    out[key] = { allow: compile(lists.allow || []), deny: compile(lists.deny || []) };
+  }
+  return out;
+}
+
+function matches(list, name) {
+  return list.exact.has(name) || list.prefixes.some(p => name.startsWith(p));
+}
+
+module.exports = { HeaderPolicy };
@@ -0,0 +1,277 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { log } = require("./logger");
+const { pidAlive } = require("./CacheLock");
+
+// journal/<pid>-<instance>-<seq>.journal
+const SEGMENT_NAME = /^(\d+)-([0-9a-f]+)-(\d+)\.journal$/;
+
+/**
+ * Append-only journal of index mutations (one JSON op per line).
+ *
+ * Every process sharing a CACHE_DIR appends only to its own segment file
+ * under journal/, so writers never interleave. Ops are buffered and appended
+ * in one write per flush window, so a put()/refreshTTL() costs O(1) instead
+ * of rewriting index.json.
+ *
+ * Segments are folded into the index.json snapshot by StorageEngine.compact().
+ * A segment is "sealed" once its owner has rotated to a newer one or has
+ * exited; only sealed segments are deleted after compaction. Live segments
+ * are replayed from the offset recorded in the snapshot manifest.
+ * Every op carries its full resulting value, and replay only touches the
+ * in-memory maps (never blob files), so replaying an op that the snapshot
+ * already contains is harmless.
+ */
+class IndexJournal {
+  constructor(dir, opts = {}) {
+    this.dir = path.join(dir, "journal");
+    // Pre-segment single-file journal, replayed once and then removed
+    this.legacyPath = path.join(dir, "index.journal");
+    this.flushMs = opts.flushMs || 1000;
+    this.compactOps = opts.compactOps || 50000;
+    this.instance = `${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+    this.seq = 0;
+    this.pending = [];
+    this.opCount = 0;
+    this.timer = null;
+    // segment name → byte offset read so far (always at a line boundary)
+    this.offsets = new Map();
+  }
+
+  get activeName() {
+    return `${this.instance}-${this.seq}.journal`;
+  }
+
+  init() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._touchActive();
+  }
+
+  /**
+   * Create our active segment up front — its presence is how other
+   * processes (and --fsck) see that this one is using the cache.
+   */
+  _touchActive() {
+    try {
+      fs.closeSync(fs.openSync(path.join(this.dir, this.activeName), "a"));
+    } catch (err) {
+      log.warn("Journal", `Cannot create segment: ${err.message}`);
+    }
+  }
+
+  /**
+   * Replay every segment (including our own) from the given start offsets.
+   * Used at startup and after another process published a new snapshot.
+   */
+  replay(apply, startOffsets = {}) {
+    this.offsets = new Map(Object.entries(startOffsets));
+    let applied = this._readLegacy(apply);
+    for (const name of this.segments()) {
+      applied += this._readSegment(name, apply);
+    }
+    this.opCount = 0;
+    return applied;
+  }
+
+  /**
+   * Apply ops appended by sibling processes since the last read.
+   */
+  tail(apply) {
+    let applied = 0;
+    for (const name of this.segments()) {
+      if (name.startsWith(this.instance + "-")) continue;
+      applied += this._readSegment(name, apply);
+    }
+    return applied;
+  }
+
+  _readSegment(name, apply) {
+    const file = path.join(this.dir, name);
+    const start = this.offsets.get(name) || 0;
+    let fd;
+    try {
+      fd = fs.openSync(file, "r");
+    } catch (_) {
+      return 0;
+    }
+    let buf;
+    try {
+      const size = fs.fstatSync(fd).size;
+      if (size <= start) return 0;
+      buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // Only consume complete lines — the writer may be mid-append
+    const end = buf.lastIndexOf(0x0a) + 1;
+    if (end === 0) return 0;
+    this.offsets.set(name, start + end);
+    return this._applyLines(buf.toString("utf-8", 0, end), apply);
+  }
+
+  _readLegacy(apply) {
+    if (!fs.existsSync(this.legacyPath)) return 0;
+    return this._applyLines(fs.readFileSync(this.legacyPath, "utf-8"), apply);
+  }
+
+  /**
+   * Apply newline-separated ops. A torn last line (crash mid-append) or a
+   * garbled line is skipped.
+   */
+  _applyLines(text, apply) {
+    let applied = 0;
+    let skipped = 0;
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      let op;
+      try {
+        op = JSON.parse(line);
+      } catch (_) {
+        skipped++;
+        continue;
+      }
+      apply(op);
+      applied++;
+    }
+    if (skipped > 0) log.warn("Journal", `Skipped ${skipped} unreadable journal line(s)`);
+    return applied;
+  }
+
+  append(op) {
+    this.pending.push(JSON.stringify(op));
+    this.opCount++;
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.flushMs);
+      this.timer.unref();
+    }
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.length === 0) return;
+    const chunk = this.pending.join("\n") + "\n";
+    this.pending = [];
+    const name = this.activeName;
+    try {
+      fs.appendFileSync(path.join(this.dir, name), chunk);
+      // Our own ops are already applied in memory
+      this.offsets.set(name, (this.offsets.get(name) || 0) + Buffer.byteLength(chunk));
+    } catch (err) {
+      log.warn("Journal", `Append failed: ${err.message}`);
+    }
+  }
+
+  needsCompaction() {
+    return this.opCount >= this.compactOps;
+  }
+
+  /**
+   * Seal the current segment and start appending to a fresh one.
+   */
+  rotate() {
+    this.flush();
+    this.seq++;
+    this.opCount = 0;
+    this._touchActive();
+  }
+
+  segments() {
+    try {
+      return fs.readdirSync(this.dir).filter(n => SEGMENT_NAME.test(n));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Segments that will never be appended to again: superseded by a newer
+   * segment of the same instance, or owned by a process that has exited.
+   */
+  sealedSegments() {
+    const names = this.segments();
+    const latest = new Map();
+    for (const n of names) {
+      const [, pid, inst, seq] = n.match(SEGMENT_NAME);
+      const id = `${pid}-${inst}`;
+      latest.set(id, Math.max(latest.get(id) ?? -1, parseInt(seq)));
+    }
+    return names.filter(n => {
+      const [, pid, inst, seq] = n.match(SEGMENT_NAME);
+      if (`${pid}-${inst}` === this.instance) return n !== this.activeName;
+      return parseInt(seq) < latest.get(`${pid}-${inst}`) || !pidAlive(parseInt(pid));
+    });
+  }
+
+  /**
+   * pids of other running processes with an open segment in this cache.
+   */
+  liveSiblings() {
+    const pids = new Set();
+    for (const n of this.segments()) {
+      const pid = parseInt(n.match(SEGMENT_NAME)[1]);
+      if (!n.startsWith(this.instance + "-") && pid !== process.pid && pidAlive(pid)) pids.add(pid);
+    }
+    return [...pids];
+  }
+
+  /**
+   * Read the given sealed segments to their final end. They no longer grow,
+   * so after this call their ops are fully applied.
+   */
+  drain(names, apply) {
+    let applied = 0;
+    for (const name of names) applied += this._readSegment(name, apply);
+    return applied;
+  }
+
+  /**
+   * Offsets of every segment not in `except` — recorded in the snapshot
+   * manifest so readers know where to resume replay.
+   */
+  offsetsExcept(except) {
+    const skip = new Set(except);
+    const out = {};
+    for (const name of this.segments()) {
+      if (!skip.has(name) && this.offsets.has(name)) out[name] = this.offsets.get(name);
+    }
+    return out;
+  }
+
+  /**
+   * Delete sealed segments whose ops are now in the snapshot.
+   */
+  remove(names) {
+    for (const name of names) {
+      try { fs.unlinkSync(path.join(this.dir, name)); } catch (_) {}
+      this.offsets.delete(name);
+    }
+    try { fs.unlinkSync(this.legacyPath); } catch (_) {}
+  }
+
+  /**
+   * Flush and drop our active segment if nothing was written to it since
+   * the last compaction.
+   */
+  close() {
+    this.flush();
+    const file = path.join(this.dir, this.activeName);
+    try {
+      if (fs.statSync(file).size === 0) {
+        fs.unlinkSync(file);
+        this.offsets.delete(this.activeName);
+      }
+    } catch (_) {}
+  }
+}
+
+module.exports = { IndexJournal };
@@ -0,0 +1,90 @@
+"use strict";
+
+const fs = require("fs");
+
+/**
+ * On-disk schema of index.json, alias-index.json and vary-index.json.
+ *
+ * Version 0 files are the bare { key: value } maps written before the
+ * header existed; from version 1 on a file is { schema, entries }.
+ * Loading runs every upgrade step from the file's version up to
+ * SCHEMA_VERSION, then validates each entry — entries that still don't
+ * make sense are handed back for quarantine instead of failing the load.
+ */
+const SCHEMA_VERSION = 1;
+
+// INDEX_UPGRADES[n] turns a version-n entry into a version-(n+1) entry.
+// Steps return a copy and must be idempotent: journal ops carry no version,
+// so put/patch payloads are run through every step.
+const INDEX_UPGRADES = [
+  // 0 → 1: older engines wrote cachedAt / hash
+  meta => {
+    if (!meta || typeof meta !== "object") return meta;
+    const out = { ...meta };
+    if (out.storedAt === undefined && out.cachedAt !== undefined) out.storedAt = out.cachedAt;
+    if (out.blobHash === undefined && out.hash !== undefined) out.blobHash = out.hash;
+    delete out.cachedAt;
+    delete out.hash;
+    return out;
+  }
+];
+
+const BLOB_HASH = /^[0-9a-f]{64}$/;
+
+function upgradeEntry(meta, fromVersion = 0) {
+  let out = meta;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) out = INDEX_UPGRADES[v](out);
+  return out;
+}
+
+/**
+ * Why an (upgraded) index entry is unusable, or null if it is fine.
+ */
+function invalidEntry(meta) {
+  if (!meta || typeof meta !== "object" || Array.isArray(meta)) return "not an object";
+  if (typeof meta.url !== "string") return "missing url";
+  if (typeof meta.blobHash !== "string" || !BLOB_HASH.test(meta.blobHash)) return "bad blobHash";
+  if (typeof meta.storedAt !== "number" || !Number.isFinite(meta.storedAt)) return "bad storedAt";
+  return null;
+}
+
+function invalidAlias(target) {
+  return typeof target === "string" && target.length > 0 ? null : "bad target";
+}
+
+function invalidVary(headers) {
+  return Array.isArray(headers) && headers.every(h => typeof h === "string") ? null : "bad header list";
+}
+
+/**
+ * Read a schema file → { version, entries }. Throws if the file is not
+ * JSON, and if it was written by a newer EdgeProxy (we would lose fields
+ * we don't know about by rewriting it).
+ */
+function readSchemaFile(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("top level is not an object");
+  }
+  if (typeof raw.schema !== "number") return { version: 0, entries: raw };
+  if (raw.schema > SCHEMA_VERSION) {
+    const err = new Error(`${file} has schema v${raw.schema}; this EdgeProxy reads up to v${SCHEMA_VERSION}`);
+    err.code = "ESCHEMA";
+    throw err;
+  }
+  return { version: raw.schema, entries: raw.entries || {} };
+}
+
+function schemaDocument(entries) {
+  return { schema: SCHEMA_VERSION, entries };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  upgradeEntry,
+  invalidEntry,
+  invalidAlias,
+  invalidVary,
+  readSchemaFile,
+  schemaDocument
+};
@@ -2,13 +2,106 @@
 
 const { log } = require("./logger");
 const { URLNormalizer } = require("./URLNormalizer");
+const { RevalidationQueue } = require("./RevalidationQueue");
+const { FetchScheduler } = require("./FetchScheduler");
+const { CredentialPolicy, SCOPE_HEADER } = require("./CredentialPolicy");
+const { describeCors, corsVary, replayCors } = require("./CorsReplay");
+
+// Browser-supplied request headers that must not leak into our own
+// conditional / full-body fetches
+const CONDITIONAL_HEADERS = new Set([
+  "if-none-match", "if-modified-since", "if-match", "if-unmodified-since", "if-range", "range"
+]);
+const RANGE_HEADERS = new Set(["range", "if-range"]);
+// The browser's own validators: answered locally, never forwarded (our
+// fetches carry the cache's validators, or none)
+const VALIDATOR_HEADERS = new Set(["if-none-match", "if-modified-since"]);
+// What a 304 carries over from the stored response (RFC 9110 §15.4.5)
+const SET_COOKIE_HEADERS = new Set(["set-cookie", "set-cookie2"]);
+const NOT_MODIFIED_HEADERS = ["etag", "last-modified", "cache-control", "expires", "vary", "content-location", "date"];
+
+// Gateway-side hiccups worth another try before falling back to stale
+function retryableStatus(result) {
+  return result.status === 502 || result.status === 503 || result.status === 504;
+}
+
+function withoutHeaders(headers, names) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (!names.has(k)) out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Do the browser's If-None-Match / If-Modified-Since match the entry's
+ * validators? If-None-Match wins when present and compares weakly;
+ * If-Modified-Since matches when the entry is no newer than the date.
+ */
+function validatorsMatch(meta, reqHeaders) {
+  const inm = reqHeaders["if-none-match"];
+  if (inm) {
+    if (!meta.etag) return false;
+    if (inm.trim() === "*") return true;
+    const opaque = tag => tag.trim().replace(/^W\//, "");
+    return inm.split(",").some(tag => opaque(tag) === opaque(meta.etag));
+  }
+  const since = Date.parse(reqHeaders["if-modified-since"] || "");
+  const lastModified = Date.parse(meta.lastModified || "");
+  return !Number.isNaN(since) && !Number.isNaN(lastModified) && lastModified <= since;
+}
+
+/**
+ * Parse a single "bytes=" range against a body of `size` bytes →
+ * { start, end } (inclusive), { unsatisfiable: true }, or null when the
+ * header is to be ignored (malformed or multi-range — RFC 9110 allows
+ * answering those with the full 200).
+ */
+function parseRange(header, size) {
+  const m = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(header || "");
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  if (m[1] === "") {
+    // Suffix range: the last N bytes
+    const n = parseInt(m[2], 10);
+    if (n === 0 || size === 0) return { unsatisfiable: true };
+    return { start: Math.max(0, size - n), end: size - 1 };
+  }
+  const start = parseInt(m[1], 10);
+  const last = m[2] === "" ? Infinity : parseInt(m[2], 10);
+  if (last < start) return null;
+  if (start >= size) return { unsatisfiable: true };
+  return { start, end: Math.min(last, size - 1) };
+}
 
 class RequestHandler {
-  constructor(storage, classifier, cacheConfig) {
+  /**
+   * apiRequest: the context's APIRequestContext (context.request), used for
+   * background revalidation after the route is already fulfilled. Without
+   * it stale entries are always revalidated in the foreground.
+   */
+  constructor(storage, classifier, cacheConfig, apiRequest) {
     this.storage = storage;
     this.classifier = classifier;
     this.cacheConfig = cacheConfig;
     this.normalizer = new URLNormalizer();
+    this.apiRequest = apiRequest || null;
+    this.swrWindow = cacheConfig.staleWhileRevalidate || 0;
+    this.revalidations = new RevalidationQueue({ concurrency: cacheConfig.swrConcurrency });
+    this.credentials = new CredentialPolicy(cacheConfig.credentials);
+    // Every origin fetch goes through here: per-host / global caps, retries
+    this.scheduler = new FetchScheduler({
+      ...(cacheConfig.fetch || {}),
+      onRetry: () => storage.recordFetchRetry(),
+      onGiveUp: () => storage.recordFetchGiveUp(),
+      onDepth: depth => storage.recordFetchQueue(depth)
+    });
+    this.rangeFill = { enabled: false, maxBytes: 104857600, ...(cacheConfig.rangeFill || {}) };
+    // Give up waiting on the origin after this long when a stale copy can
+    // stand in (0 = wait indefinitely); stale-if-error window for that copy
+    this.originTimeout = cacheConfig.originTimeoutMs || 0;
+    this.sieWindow = cacheConfig.staleIfError || 0;
+    // coalesce key → Promise of the origin result other requests can share
+    this.inflight = new Map();
   }
 
   async handle(route) {
@@ -35,19 +128,36 @@ class RequestHandler {
 
     // Build cache keys
     const canonicalNorm = this.normalizer.canonicalKey(url, classification.origin);
-    const cacheKey = this.storage.urlToKey(canonicalNorm);
+    const baseKey = this.storage.urlToKey(canonicalNorm);
     const aliasKey = this.normalizer.aliasKey(url);
     const reqHeaders = request.headers();
+    // Cache keys are built from allHeaders(): headers() leaves out cookies,
+    // which would key every Vary: Cookie response to an empty cookie. They
+    // also see the request's credential scope, which selects a variant for
+    // scoped entries
+    const allHeaders = request.allHeaders ? await request.allHeaders() : reqHeaders;
+    const credentials = this.credentials.requestScope(allHeaders);
+    const keyHeaders = { ...allHeaders, [SCOPE_HEADER]: credentials.id };
+    // Keys whose responses carried Vary hold one entry per variant
+    const cacheKey = this._variantKey(baseKey, keyHeaders);
 
     // ─── CACHE LOOKUP ───
     let meta = this.storage.peekMetaAllowStale(cacheKey);
     let metaSource = "canonical";
+    let metaKey = cacheKey;
 
     // If canonical miss, try alias
     if (!meta && aliasKey) {
       meta = this.storage.peekAlias(aliasKey);
       metaSource = "alias";
+      metaKey = this.storage.resolveAlias(aliasKey);
+      // The aliased key may since have been replaced by a redirect / 404
+      if (meta && (meta.status || 200) !== 200) meta = null;
     }
+    const ctx = {
+      url, resourceType, classification, isFetchXhr, baseKey, aliasKey, reqHeaders, keyHeaders, credentials,
+      meta, cacheKey, metaKey, metaSource
+    };
 
     if (meta) {
       const fresh = this.storage.isFresh(meta);
@@ -56,13 +166,23 @@ class RequestHandler {
       if (fresh) {
         const body = this.storage.getBlob(meta.blobHash);
         if (body) {
+          this.storage.touch(metaKey);
           this.storage.recordHit(url, resourceType, classification.origin, body.length);
           log.info("CDN-HIT", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
-          return route.fulfill({
-            status: 200,
-            headers: meta.headers || {},
-            body
-          });
+          return this._serve(route, meta, body, reqHeaders);
+        }
+      }
+
+      // ─── STALE within the SWR window: serve now, revalidate in background ───
+      if (!fresh && this._withinSWR(meta)) {
+        const body = this.storage.getBlob(meta.blobHash);
+        if (body) {
+          this.storage.touch(metaKey);
+          this.storage.recordSWRHit(url, resourceType, classification.origin, body.length);
+          log.info("SWR-HIT", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+          this._revalidateInBackground(ctx);
+          // Stale: the browser gets the body, not a 304
+          return this._serve(route, meta, body, withoutHeaders(reqHeaders, VALIDATOR_HEADERS));
         }
       }
 
@@ -72,90 +192,535 @@ class RequestHandler {
         if (meta.etag) conditionalHeaders["If-None-Match"] = meta.etag;
         if (meta.lastModified) conditionalHeaders["If-Modified-Since"] = meta.lastModified;
 
+        // Without Range: a 200 here must be the whole object so it can be
+        // cached; the requested range is cut from it below. Without the
+        // browser's validators: the origin must judge ours
+        const fullHeaders = withoutHeaders(reqHeaders, CONDITIONAL_HEADERS);
+        const fetching = this._coalesced(this._coalesceKey(cacheKey, fullHeaders), keyHeaders,
+          () => this._fetch(route, { headers: { ...fullHeaders, ...conditionalHeaders } }));
         try {
-          const response = await route.fetch({
-            headers: { ...reqHeaders, ...conditionalHeaders }
-          });
+          const result = await this._withTimeout(fetching, ctx);
 
-          if (response.status() === 304) {
+          if (result.status === 304) {
             // 304 Not Modified — origin saw the request (publisher gets credit),
             // but body is 0 bytes (massive bandwidth saving).
             const body = this.storage.getBlob(meta.blobHash);
             if (body) {
-              this.storage.refreshTTL(cacheKey);
-              this.storage.recordRevalidated(url, resourceType, classification.origin, body.length);
-              log.info("HIT-304", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
-              return route.fulfill({
-                status: 200,
-                headers: meta.headers || {},
-                body
-              });
+              let updated;
+              if (result.shared) {
+                // The first request already folded the 304 in
+                updated = this.storage.peekMetaAllowStale(cacheKey) || meta;
+                this.storage.recordCoalesced(url, resourceType, classification.origin, body.length);
+              } else {
+                updated = this.storage.updateFrom304(cacheKey, metaKey, result.headers, url, keyHeaders["origin"]) || meta;
+                this.storage.recordRevalidated(url, resourceType, classification.origin, body.length);
+                log.info("HIT-304", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+              }
+              this.storage.touch(updated === meta ? metaKey : cacheKey);
+              return this._serve(route, updated, body, reqHeaders);
             }
           }
+          if (result.status >= 500) {
+            const stale = this._serveStale(route, ctx, "STALE-HIT", "5xx");
+            if (stale) return stale;
+          }
+          if (result.shared) return this._serveShared(route, result, ctx);
 
           // 200 — new content
-          const newBody = await response.body();
-          const respHeaders = response.headers();
+          const { status, headers: respHeaders, body: newBody } = result;
 
           // For fetch/xhr: only cache asset content-types
           if (isFetchXhr && !this.classifier.shouldCacheByContentType(respHeaders["content-type"])) {
             this.storage.recordMiss(url, resourceType, classification.origin, newBody.length);
-            return route.fulfill({ status: response.status(), headers: respHeaders, body: newBody });
+            return route.fulfill({ status, headers: respHeaders, body: newBody });
+          }
+
+          // Origin now says no-store/private — drop what we had, pass through
+          const policy = this._storePolicy(ctx, respHeaders);
+          if (!policy.store) {
+            if (metaSource === "canonical") this.storage.remove(cacheKey);
+            this.storage.recordNotStored(url, resourceType, classification.origin, newBody.length, policy.reason);
+            log.info("NO-STORE", `${policy.reason} ${resourceType} ${url.substring(0, 80)}`);
+            return route.fulfill({ status, headers: respHeaders, body: newBody });
           }
 
-          await this.storage.put(cacheKey, url, newBody, respHeaders, resourceType, classification.origin, aliasKey, reqHeaders);
+          if (!this._storable(status, resourceType, respHeaders, newBody)) {
+            this.storage.recordMiss(url, resourceType, classification.origin, newBody.length);
+            return route.fulfill({ status, headers: respHeaders, body: newBody });
+          }
+          await this._store(baseKey, url, newBody, respHeaders, resourceType, classification, aliasKey, keyHeaders, status, policy.scoped);
           this.storage.recordMiss(url, resourceType, classification.origin, newBody.length);
-          log.info("MISS-UPDATE", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
-          return route.fulfill({ status: response.status(), headers: respHeaders, body: newBody });
+          log.info(status === 200 ? "MISS-UPDATE" : `MISS-UPDATE-${status}`, `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+          const fresh = { status, headers: respHeaders, etag: respHeaders["etag"], lastModified: respHeaders["last-modified"] };
+          return this._serve(route, fresh, newBody, reqHeaders);
         } catch (err) {
-          // Revalidation failed — serve stale if possible
-          const body = this.storage.getBlob(meta.blobHash);
-          if (body) {
-            this.storage.recordHit(url, resourceType, classification.origin, body.length);
-            log.info("STALE-HIT", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
-            return route.fulfill({ status: 200, headers: meta.headers || {}, body });
-          }
+          // Revalidation failed or timed out — serve stale if allowed
+          if (err.code === "ETIMEDOUT") this._finishLate(ctx, fetching);
+          const stale = this._serveStale(route, ctx, "STALE-HIT", err.code === "ETIMEDOUT" ? "timeout" : "network");
+          if (stale) return stale;
         }
       }
     }
 
     // ─── MISS: fetch from origin ───
+    // A browser validator would get us a bodyless 304 we can't cache:
+    // fetch the full response and answer the browser's condition ourselves
+    const options = Object.keys(reqHeaders).some(h => VALIDATOR_HEADERS.has(h))
+      ? { headers: withoutHeaders(reqHeaders, VALIDATOR_HEADERS) }
+      : {};
+    const fetching = this._coalesced(this._coalesceKey(cacheKey, reqHeaders), keyHeaders,
+      () => this._fetch(route, options));
     try {
-      const response = await route.fetch();
-      const body = await response.body();
-      const respHeaders = response.headers();
+      const result = await this._withTimeout(fetching, ctx);
+      if (result.status >= 500) {
+        const stale = this._serveStale(route, ctx, "STALE-RESCUE", "5xx");
+        if (stale) return stale;
+      }
+      if (result.shared) return this._serveShared(route, result, ctx);
+      const { status, headers: respHeaders, body } = result;
+
+      // A 206 is a slice of the object — pass it through, never cache it as
+      // the whole thing (optionally fetch the full object in the background)
+      if (status === 206) {
+        this.storage.recordMiss(url, resourceType, classification.origin, body.length);
+        this.storage.recordRange("passthrough");
+        this._fillInBackground(ctx, respHeaders);
+        return route.fulfill({ status: 206, headers: respHeaders, body });
+      }
 
       // For fetch/xhr: only cache if content-type is asset-like
       if (isFetchXhr && !this.classifier.shouldCacheByContentType(respHeaders["content-type"])) {
         this.storage.recordMiss(url, resourceType, classification.origin, body.length);
-        return route.fulfill({ status: response.status(), headers: respHeaders, body });
+        return route.fulfill({ status, headers: respHeaders, body });
       }
 
-      if (response.ok() && body.length > 0) {
-        await this.storage.put(cacheKey, url, body, respHeaders, resourceType, classification.origin, aliasKey, reqHeaders);
-        const dedup = this.storage.isDedup(cacheKey);
+      const policy = this._storePolicy(ctx, respHeaders);
+      const storable = this._storable(status, resourceType, respHeaders, body);
+      if (storable && !policy.store) {
+        this.storage.recordNotStored(url, resourceType, classification.origin, body.length, policy.reason);
+        log.info("NO-STORE", `${policy.reason} ${resourceType} ${url.substring(0, 80)}`);
+      } else if (storable) {
+        const storedKey = await this._store(baseKey, url, body, respHeaders, resourceType, classification, aliasKey, keyHeaders, status, policy.scoped);
+        const dedup = this.storage.isDedup(storedKey);
         if (dedup) {
-          log.info("Storage", `DEDUP ${url.substring(0, 80)} — same blob ${this.storage.getBlobHashShort(cacheKey)}`);
+          log.info("Storage", `DEDUP ${url.substring(0, 80)} — same blob ${this.storage.getBlobHashShort(storedKey)}`);
         }
         this.storage.recordMiss(url, resourceType, classification.origin, body.length);
-        log.info("CACHED", `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+        log.info(status === 200 ? "CACHED" : `CACHED-${status}`, `${resourceType} ${classification.origin} ${url.substring(0, 80)}`);
       } else {
         this.storage.recordMiss(url, resourceType, classification.origin, 0);
       }
 
-      return route.fulfill({ status: response.status(), headers: respHeaders, body });
-    } catch (err) {
-      // Network error — try stale cache as last resort
-      if (meta) {
-        const body = this.storage.getBlob(meta.blobHash);
-        if (body) {
-          log.info("STALE-RESCUE", `${resourceType} ${url.substring(0, 80)}`);
-          return route.fulfill({ status: 200, headers: meta.headers || {}, body });
-        }
+      if (status === 200 && validatorsMatch({ etag: respHeaders["etag"], lastModified: respHeaders["last-modified"] }, reqHeaders)) {
+        return this._notModified(route, respHeaders);
       }
+      return route.fulfill({ status, headers: respHeaders, body });
+    } catch (err) {
+      // Network error or timeout — try stale cache as last resort
+      if (err.code === "ETIMEDOUT") this._finishLate(ctx, fetching);
+      const stale = this._serveStale(route, ctx, "STALE-RESCUE", err.code === "ETIMEDOUT" ? "timeout" : "network");
+      if (stale) return stale;
       throw err;
     }
   }
+
+  /**
+   * May this entry stand in for a failed origin fetch? Window from the
+   * response's stale-if-error directive, else cache.staleIfError.
+   */
+  _withinSIE(meta) {
+    if (meta.mustRevalidate) return false;
+    const window = typeof meta.sie === "number" ? meta.sie : this.sieWindow;
+    return this.storage.staleAge(meta) < window;
+  }
+
+  /**
+   * Serve the request's stale entry after an origin timeout, 5xx or network
+   * failure. Returns null when there is none within the stale-if-error
+   * window, so the caller can carry on with what the origin gave it.
+   */
+  _serveStale(route, ctx, label, reason) {
+    if (!ctx.meta || !this._withinSIE(ctx.meta)) return null;
+    const body = this.storage.getBlob(ctx.meta.blobHash);
+    if (!body) return null;
+    this.storage.touch(ctx.metaKey);
+    this.storage.recordStaleIfError(ctx.url, ctx.resourceType, ctx.classification.origin, body.length, reason);
+    log.info(label, `${reason} ${ctx.resourceType} ${ctx.classification.origin} ${ctx.url.substring(0, 80)}`);
+    // Stale: the browser gets the body, not a 304
+    return this._serve(route, ctx.meta, body, withoutHeaders(ctx.reqHeaders, VALIDATOR_HEADERS));
+  }
+
+  /**
+   * Race an origin fetch against cache.originTimeoutMs — only when a stale
+   * copy could be served instead; without one, waiting is the best option.
+   */
+  _withTimeout(fetching, ctx) {
+    if (!this.originTimeout || !ctx.meta || !this._withinSIE(ctx.meta)) return fetching;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`Origin did not answer within ${this.originTimeout}ms`);
+        err.code = "ETIMEDOUT";
+        reject(err);
+      }, this.originTimeout);
+    });
+    return Promise.race([fetching, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * A fetch that timed out keeps running; when it lands, its response
+   * still updates the cache.
+   */
+  _finishLate(ctx, fetching) {
+    fetching
+      .then(async result => {
+        if (result.shared) return;
+        const outcome = await this._applyResult(ctx, result);
+        this.storage.recordLateFetch(outcome, result.body.length);
+        log.info("LATE-FILL", `${outcome} ${ctx.resourceType} ${ctx.classification.origin} ${ctx.url.substring(0, 80)}`);
+      })
+      .catch(err => log.debug("Origin", `Late fetch failed for ${ctx.url.substring(0, 80)}: ${err.message}`));
+  }
+
+  /**
+   * Origin fetch through the route, body read in full so the result can be
+   * handed to coalesced waiters. Queued and retried by the scheduler.
+   */
+  _fetch(route, options = {}) {
+    return this.scheduler.run(route.request().url(), async () => {
+      const response = await route.fetch({ ...this._redirectOptions(), ...options });
+      return { status: response.status(), headers: response.headers(), body: await response.body() };
+    }, retryableStatus);
+  }
+
+  /**
+   * Background GET through the APIRequestContext, under the same scheduler.
+   */
+  _apiFetch(url, options) {
+    return this.scheduler.run(url, async () => {
+      const response = await this.apiRequest.get(url, { failOnStatusCode: false, ...options });
+      try {
+        return { status: response.status(), headers: response.headers(), body: await response.body() };
+      } finally {
+        await response.dispose().catch(() => {});
+      }
+    }, retryableStatus);
+  }
+
+  /**
+   * With redirect caching on, origin redirects are handed back instead of
+   * followed: the browser follows them itself (through the cache again),
+   * and a 301/308 can be stored under the URL that produced it.
+   */
+  _redirectOptions() {
+    return this.storage.cachePolicy.cacheRedirects ? { maxRedirects: 0 } : {};
+  }
+
+  /**
+   * A 2xx with a body, or a redirect / negative response cache.statuses
+   * allows storing.
+   */
+  _storable(status, resourceType, respHeaders, body) {
+    // A 206 is only a slice of the object
+    if (status === 206) return false;
+    if (status >= 200 && status < 300) return body.length > 0;
+    return this.storage.cachePolicy.storableStatus(status, resourceType, respHeaders);
+  }
+
+  /**
+   * Requests may only share a fetch when the origin would see the same
+   * request: same cache key, same Range. (Browser validators are never
+   * forwarded, so they don't split the key.)
+   */
+  _coalesceKey(cacheKey, reqHeaders) {
+    const extra = ["range", "if-range"].map(h => reqHeaders[h] || "");
+    return extra.some(Boolean) ? `${cacheKey}|${extra.join("|")}` : cacheKey;
+  }
+
+  /**
+   * One origin fetch per key: the first request runs `fetcher`; requests
+   * arriving while it is in flight wait for its result (or its error) and
+   * get it back marked `shared`. A waiter whose request headers select a
+   * different variant under the response's Vary fetches on its own.
+   */
+  async _coalesced(key, keyHeaders, fetcher) {
+    const pending = this.inflight.get(key);
+    if (pending) {
+      const result = await pending;
+      if (this._sameVariant(result, keyHeaders)) return { ...result, shared: true };
+      return fetcher();
+    }
+    const promise = fetcher().then(result => ({ ...result, keyHeaders }));
+    this.inflight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  _sameVariant(result, keyHeaders) {
+    const vary = this.normalizer.varyHeaders(result.headers["vary"]);
+    if (vary === null) return false;
+    // Never hand one credential scope's response to another
+    const names = [...vary, SCOPE_HEADER];
+    return this.normalizer.varyKey("", result.keyHeaders, names) === this.normalizer.varyKey("", keyHeaders, names);
+  }
+
+  /**
+   * Answer a request that waited on another request's origin fetch. A full
+   * 200 is served like a cache hit (its own Range applies), anything else
+   * is replayed as is, CORS adjusted for this request's Origin. Storage was
+   * already updated by the first request. A 304 answered the first
+   * request's validators, not ours: it is served from the entry it
+   * refreshed, as a 200 unless our own validators match.
+   */
+  _serveShared(route, result, ctx) {
+    const { url, resourceType, reqHeaders } = ctx;
+    const origin = ctx.classification.origin;
+    if (result.status === 304) {
+      const meta = this.storage.peekMetaAllowStale(ctx.cacheKey);
+      const body = meta && this.storage.getBlob(meta.blobHash);
+      // Nothing to answer from (evicted meanwhile) — let the browser ask
+      if (!body) return route.continue();
+      this.storage.recordCoalesced(url, resourceType, origin, body.length);
+      log.info("COALESCED", `${resourceType} ${origin} ${url.substring(0, 80)}`);
+      return this._serve(route, meta, body, reqHeaders);
+    }
+    this.storage.recordCoalesced(url, resourceType, origin, result.body.length);
+    log.info("COALESCED", `${resourceType} ${origin} ${url.substring(0, 80)}`);
+    // Cookies the origin set were meant for the first request only
+    const headers = withoutHeaders(result.headers, SET_COOKIE_HEADERS);
+    const fresh = {
+      status: result.status,
+      headers,
+      etag: headers["etag"],
+      lastModified: headers["last-modified"],
+      cors: describeCors(headers, result.keyHeaders["origin"])
+    };
+    return this._serve(route, fresh, result.body, reqHeaders);
+  }
+
+  /**
+   * Fulfill from a complete body — cached, or just fetched whole. Matching
+   * browser validators get a local 304 (callers serving stale bodies strip
+   * them first). A single satisfiable Range gets a 206 slice, an
+   * unsatisfiable one a 416; no Range, a multi-range or a failed If-Range
+   * gets the full 200.
+   */
+  _serve(route, meta, body, reqHeaders) {
+    // Cached redirects and 404/410s are replayed as they came; no ranges
+    const status = meta.status || 200;
+    if (status !== 200) return route.fulfill({ status, headers: this._headersFor(meta, reqHeaders), body });
+    if (validatorsMatch(meta, reqHeaders)) return this._notModified(route, meta.headers);
+    const headers = { ...this._headersFor(meta, reqHeaders), "accept-ranges": "bytes" };
+    const range = this._rangeFor(meta, reqHeaders, body.length);
+    if (!range) return route.fulfill({ status: 200, headers, body });
+    delete headers["content-length"];
+    delete headers["content-encoding"];
+    if (range.unsatisfiable) {
+      this.storage.recordRange("unsatisfiable");
+      headers["content-range"] = `bytes */${body.length}`;
+      return route.fulfill({ status: 416, headers, body: Buffer.alloc(0) });
+    }
+    this.storage.recordRange("partial");
+    headers["content-range"] = `bytes ${range.start}-${range.end}/${body.length}`;
+    return route.fulfill({ status: 206, headers, body: body.subarray(range.start, range.end + 1) });
+  }
+
+  /**
+   * Stored headers with CORS adjusted for this request's Origin.
+   */
+  _headersFor(meta, reqHeaders) {
+    const { headers, outcome } = replayCors(meta.headers || {}, meta.cors, reqHeaders["origin"]);
+    if (outcome) this.storage.recordCors(outcome);
+    return headers;
+  }
+
+  /**
+   * 304 for a browser whose own copy is current: no body, only the
+   * validator and freshness headers of the stored response.
+   */
+  _notModified(route, headers = {}) {
+    this.storage.recordNotModified();
+    const out = {};
+    for (const name of NOT_MODIFIED_HEADERS) {
+      if (headers[name]) out[name] = headers[name];
+    }
+    return route.fulfill({ status: 304, headers: out });
+  }
+
+  /**
+   * The range to serve, or null to send everything. If-Range must match
+   * the entry's strong ETag or exact Last-Modified date.
+   */
+  _rangeFor(meta, reqHeaders, size) {
+    if (!reqHeaders["range"]) return null;
+    const ifRange = reqHeaders["if-range"];
+    if (ifRange) {
+      const matches = ifRange.startsWith("\"")
+        ? ifRange === meta.etag
+        : !ifRange.startsWith("W/") && ifRange === meta.lastModified;
+      if (!matches) return null;
+    }
+    return parseRange(reqHeaders["range"], size);
+  }
+
+  /**
+   * After passing a 206 through, fetch the whole object in the background
+   * so later ranges can be served from cache (cache.rangeFill).
+   */
+  _fillInBackground(ctx, respHeaders) {
+    if (!this.rangeFill.enabled || !this.apiRequest) return;
+    // "bytes 0-999/123456" — unknown totals ("*") are not filled
+    const total = parseInt(String(respHeaders["content-range"] || "").split("/")[1], 10);
+    if (!(total > 0) || total > this.rangeFill.maxBytes) return;
+    if (this.storage.peekMeta(this._variantKey(ctx.baseKey, ctx.keyHeaders))) return;
+    this.revalidations.schedule(ctx.baseKey, () => this._fetchFull(ctx));
+  }
+
+  async _fetchFull(ctx) {
+    const { url, classification } = ctx;
+    const headers = withoutHeaders(ctx.reqHeaders, CONDITIONAL_HEADERS);
+    let result;
+    try {
+      result = await this._apiFetch(url, { headers });
+    } catch (err) {
+      this.storage.recordRange("fillFailed");
+      log.debug("Range", `Full fetch failed for ${url.substring(0, 80)}: ${err.message}`);
+      return;
+    }
+    const { status, headers: respHeaders, body } = result;
+    const policy = this._storePolicy(ctx, respHeaders);
+    const assetType = !ctx.isFetchXhr || this.classifier.shouldCacheByContentType(respHeaders["content-type"]);
+    if (status !== 200 || body.length === 0 || !policy.store || !assetType) {
+      this.storage.recordRange("fillFailed", body.length);
+      return;
+    }
+    await this._store(ctx.baseKey, url, body, respHeaders, ctx.resourceType, classification, ctx.aliasKey, ctx.keyHeaders, 200, policy.scoped);
+    this.storage.recordRange("filled", body.length);
+    log.info("RANGE-FILL", `${ctx.resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+  }
+
+  /**
+   * May this stale entry be served while it is revalidated? Window from the
+   * response's stale-while-revalidate directive, else cache.staleWhileRevalidate.
+   */
+  _withinSWR(meta) {
+    if (!this.apiRequest || meta.mustRevalidate) return false;
+    const window = typeof meta.swr === "number" ? meta.swr : this.swrWindow;
+    return window > 0 && this.storage.staleAge(meta) < window;
+  }
+
+  _revalidateInBackground(ctx) {
+    const scheduled = this.revalidations.schedule(ctx.metaKey, () => this._backgroundRevalidate(ctx));
+    if (!scheduled) this.storage.recordBackgroundRevalidation("skipped", 0);
+  }
+
+  /**
+   * Conditional GET through the APIRequestContext; the route itself was
+   * fulfilled from cache already.
+   */
+  async _backgroundRevalidate(ctx) {
+    const { url, meta, classification } = ctx;
+    const headers = withoutHeaders(ctx.reqHeaders, CONDITIONAL_HEADERS);
+    if (meta.etag) headers["if-none-match"] = meta.etag;
+    if (meta.lastModified) headers["if-modified-since"] = meta.lastModified;
+
+    let result;
+    try {
+      result = await this._apiFetch(url, { headers, ...this._redirectOptions() });
+    } catch (err) {
+      this.storage.recordBackgroundRevalidation("failed", 0);
+      log.debug("SWR", `Revalidation failed for ${url.substring(0, 80)}: ${err.message}`);
+      return;
+    }
+
+    const outcome = await this._applyResult(ctx, result);
+    this.storage.recordBackgroundRevalidation(outcome, result.body.length);
+    if (outcome === "revalidated") {
+      log.info("SWR-304", `${ctx.resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+    } else if (outcome === "updated") {
+      log.info("SWR-UPDATE", `${ctx.resourceType} ${classification.origin} ${url.substring(0, 80)}`);
+    }
+  }
+
+  /**
+   * Fold an origin result no request is waiting for any more (background
+   * revalidation, or a fetch that outlived the origin timeout) into the
+   * cache. Outcomes: revalidated (304), updated, dropped (no longer
+   * cacheable), failed.
+   */
+  async _applyResult(ctx, result) {
+    const { url, classification } = ctx;
+    const { status, headers: respHeaders, body } = result;
+    if (status === 304) {
+      if (!ctx.meta) return "failed";
+      this.storage.updateFrom304(ctx.cacheKey, ctx.metaKey, respHeaders, url, ctx.keyHeaders["origin"]);
+      return "revalidated";
+    }
+    if (!this._storable(status, ctx.resourceType, respHeaders, body)) return "failed";
+    const policy = this._storePolicy(ctx, respHeaders);
+    const assetType = !ctx.isFetchXhr || this.classifier.shouldCacheByContentType(respHeaders["content-type"]);
+    if (!policy.store || !assetType) {
+      if (ctx.meta && ctx.metaSource === "canonical") this.storage.remove(ctx.metaKey);
+      return "dropped";
+    }
+    await this._store(ctx.baseKey, url, body, respHeaders, ctx.resourceType, classification, ctx.aliasKey, ctx.keyHeaders, status, policy.scoped);
+    return "updated";
+  }
+
+  /**
+   * CachePolicy's verdict, narrowed by the credential policy: a response
+   * that depends on credentials is either not stored (reason set-cookie /
+   * authorization / cookie) or stored `scoped` to the request's credentials.
+   */
+  _storePolicy(ctx, respHeaders) {
+    const policy = this.storage.cachePolicy.evaluate(respHeaders, ctx.classification.origin);
+    if (!policy.store) return policy;
+    const cred = this.credentials.evaluate(ctx.url, ctx.credentials, respHeaders);
+    if (!cred.store) return { ...policy, store: false, reason: cred.reason };
+    return { ...policy, scoped: cred.scoped };
+  }
+
+  /**
+   * Cache key for this request: the base key, or the variant its request
+   * headers select when the base key has a Vary record.
+   */
+  _variantKey(baseKey, keyHeaders) {
+    const vary = this.storage.getVary(baseKey);
+    if (!vary) return baseKey;
+    return this.storage.urlToKey(this.normalizer.varyKey(baseKey, keyHeaders, vary));
+  }
+
+  /**
+   * Store a response under the key its Vary header selects and update the
+   * base key's Vary record. Returns the key it was stored under.
+   * (Vary: * never gets here — CachePolicy marks it not storable.)
+   * Origin is taken out of / added to the Vary list per the response's CORS
+   * semantics; `scoped` entries also vary on the credential scope. Once a
+   * base key holds scoped variants it keeps varying on the scope, so an
+   * anonymous response is stored as the "" scope's variant instead of
+   * replacing them.
+   */
+  async _store(baseKey, url, body, respHeaders, resourceType, classification, aliasKey, keyHeaders, status = 200, scoped = false) {
+    let vary = corsVary(this.normalizer.varyHeaders(respHeaders["vary"]), describeCors(respHeaders, keyHeaders["origin"]));
+    if (scoped || (this.storage.getVary(baseKey) || []).includes(SCOPE_HEADER)) {
+      vary = [...new Set([...vary, SCOPE_HEADER])].sort();
+    }
+    if (scoped) this.storage.recordCredentialScoped();
+    this.storage.setVary(baseKey, vary);
+    // Aliases only point at real bodies: a 404 must not answer a sibling URL
+    if (status !== 200) aliasKey = null;
+    if (vary.length === 0) {
+      await this.storage.put(baseKey, url, body, respHeaders, resourceType, classification.origin, aliasKey, keyHeaders, classification.target, null, status);
+      return baseKey;
+    }
+    // No alias for variants: an alias hit would bypass the Vary match
+    const key = this.storage.urlToKey(this.normalizer.varyKey(baseKey, keyHeaders, vary));
+    await this.storage.put(key, url, body, respHeaders, resourceType, classification.origin, null, keyHeaders, classification.target, baseKey, status);
+    return key;
+  }
 }
 
 module.exports = { RequestHandler };
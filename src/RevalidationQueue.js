@@ -0,0 +1,51 @@
+"use strict";
+
+const { log } = require("./logger");
+
+/**
+ * Runs background revalidations: at most one per cache key at a time, at
+ * most `concurrency` in parallel, the rest queued (up to `maxQueue`, beyond
+ * which new work is dropped — the entry just stays stale a little longer).
+ */
+class RevalidationQueue {
+  constructor(opts = {}) {
+    this.concurrency = opts.concurrency || 4;
+    this.maxQueue = opts.maxQueue || 500;
+    this.keys = new Set();
+    this.queue = [];
+    this.active = 0;
+  }
+
+  get depth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Queue `task` (async fn) for `key`. Returns false if that key is already
+   * pending or running, or the queue is full.
+   */
+  schedule(key, task) {
+    if (this.keys.has(key) || this.queue.length >= this.maxQueue) return false;
+    this.keys.add(key);
+    this.queue.push({ key, task });
+    this._next();
+    return true;
+  }
+
+  _next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { key, task } = this.queue.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .catch(err => log.debug("SWR", `Background task failed: ${err.message}`))
+        .finally(() => {
+          this.active--;
+          this.keys.delete(key);
+          this._next();
+        });
+    }
+  }
+}
+
+module.exports = { RevalidationQueue };
@@ -3,13 +3,71 @@
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const zlib = require("zlib");
+const { promisify } = require("util");
 const { log } = require("./logger");
+const { IndexJournal } = require("./IndexJournal");
+const { CacheLock } = require("./CacheLock");
+const { createEvictionPolicy } = require("./EvictionPolicy");
+const { CachePolicy } = require("./CachePolicy");
+const { describeCors } = require("./CorsReplay");
+const { HeaderPolicy } = require("./HeaderPolicy");
+const { CacheMigrator } = require("./CacheMigrator");
+const {
+  SCHEMA_VERSION, upgradeEntry, invalidEntry, invalidAlias, invalidVary, readSchemaFile, schemaDocument
+} = require("./IndexSchema");
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Content-types worth compressing at rest (images/video/fonts are already compressed)
+const COMPRESSIBLE_TYPES = [
+  "text/", "javascript", "ecmascript", "json", "xml", "css", "svg", "wasm"
+];
 
 class StorageEngine {
   constructor(cacheConfig) {
     this.dir = path.resolve(cacheConfig.dir || "data/cdn-cache");
     this.maxSize = cacheConfig.maxSize || 2199023255552;
     this.maxAge = cacheConfig.maxAge || 86400000;
+    // Per-response freshness; maxAge is only the default lifetime now
+    this.cachePolicy = new CachePolicy(cacheConfig);
+    // Which response headers are stored and replayed (cache.headers)
+    this.headerPolicy = new HeaderPolicy(cacheConfig.headers);
+    // RAM budget for the blob LRU — bodies beyond this are read from disk on demand.
+    this.ramMaxBytes = cacheConfig.ramMaxBytes || 268435456;
+
+    this.evictionPolicy = createEvictionPolicy(cacheConfig.evictionPolicy);
+
+    // At-rest compression: "none" | "gzip" | "br"
+    const compression = cacheConfig.compression || {};
+    this.compressCodec = compression.codec || "none";
+    this.compressMinSize = compression.minSize || 1024;
+    this.compressLevel = compression.level || 5;
+
+    // Disk tiers below the RAM LRU: warm = CACHE_DIR/blobs, plus an optional
+    // cold directory (e.g. a big slow external disk). Limits are on-disk
+    // bytes, 0 = no limit of its own (maxSize still caps the whole cache).
+    const tiers = cacheConfig.tiers || {};
+    this.warmMaxBytes = tiers.warmMaxBytes || 0;
+    this.coldBlobDir = tiers.coldDir ? path.join(path.resolve(tiers.coldDir), "blobs") : null;
+    this.coldMaxBytes = tiers.coldMaxBytes || 0;
+    // Also demote blobs nobody has hit for this long (0 = only on pressure)
+    this.demoteIdleMs = tiers.demoteIdleMs || 0;
+    this.lastIdleScan = 0;
+
+    // Optional byte quotas per target label / origin class.
+    // Bucket key: "target:<label>" or "origin:<self|ad|thirdparty>"
+    this.quotas = new Map();
+    const quotaConfig = cacheConfig.quotas || {};
+    for (const [label, bytes] of Object.entries(quotaConfig.targets || {})) {
+      if (bytes > 0) this.quotas.set(`target:${label}`, bytes);
+    }
+    for (const [origin, bytes] of Object.entries(quotaConfig.origins || {})) {
+      if (bytes > 0) this.quotas.set(`origin:${origin}`, bytes);
+    }
+    // Running size per bucket: bucketKey → bytes
+    this.bucketSizes = new Map();
 
     // Stale TTL — validators survive much longer than body freshness.
     // Derived internally: max(maxAge * 30, 7 days). No .env change needed.
@@ -17,21 +75,84 @@ class StorageEngine {
 
     this.indexPath = path.join(this.dir, "index.json");
     this.aliasIndexPath = path.join(this.dir, "alias-index.json");
+    this.varyIndexPath = path.join(this.dir, "vary-index.json");
+    this.blobRefsPath = path.join(this.dir, "blob-refs.json");
+    // Snapshot manifest: generation + journal offsets folded into the snapshot
+    this.manifestPath = path.join(this.dir, "snapshot.json");
     this.blobDir = path.join(this.dir, "blobs");
+    // Unreadable index entries / files are moved here instead of being dropped
+    this.quarantineDir = path.join(this.dir, "quarantine");
+    // Set when the loaded snapshot was upgraded or had entries quarantined,
+    // so init() rewrites it in the current schema
+    this.snapshotDirty = false;
+
+    // Index mutations go to an append-only per-process journal, folded into
+    // the index.json / alias-index.json snapshot on compaction.
+    this.journal = new IndexJournal(this.dir, {
+      flushMs: cacheConfig.journalFlushMs,
+      compactOps: cacheConfig.journalCompactOps
+    });
+    // Several EdgeProxy processes may share this dir: compaction is
+    // serialized by a lock file, sibling journals are tailed periodically.
+    this.lock = new CacheLock(this.dir);
+    this.syncMs = cacheConfig.syncMs || 2000;
+    this.syncTimer = null;
+    this.generation = null;
 
     // In-memory index: cacheKey → meta
     this.index = new Map();
     // Alias index: aliasKey → cacheKey (for cross-cachebuster revalidation)
     this.aliasIndex = new Map();
-    // In-memory blob cache: blobHash → Buffer
+    // Vary records: base cacheKey → request header names its variants are keyed by
+    this.varyIndex = new Map();
+    // Blob refcounts: blobHash → number of index keys pointing at it
+    this.blobRefs = new Map();
+    // Blobs whose last reference went away, waiting for _sweepBlobs();
+    // persisted in blob-refs.json so a pending sweep survives a restart
+    this.unreferenced = new Set();
+    // Running sum of entry sizes (what maxSize is compared against)
+    this.totalSize = 0;
+    // Compressed blobs only: blobHash → { codec, diskSize }
+    this.blobCodecs = new Map();
+    // Unique blob bytes: decoded (logical) vs as stored on disk
+    this.blobBytes = 0;
+    this.diskBytes = 0;
+    // Blobs living in the cold tier: blobHash → on-disk bytes
+    this.coldBlobs = new Map();
+    this.coldBytes = 0;
+    // In-memory blob LRU: blobHash → Buffer (Map insertion order = recency)
     this.blobs = new Map();
+    this.ramBytes = 0;
     // Dedup tracker
     this.dedupSet = new Set();
 
     // Stats
     this.stats = {
-      hits: 0, misses: 0, revalidated: 0,
+      hits: 0, misses: 0, revalidated: 0, coalesced: 0,
+      // 304s answered locally to the browser's own conditional requests
+      notModified: 0,
+      notStored: 0, notStoredBy: {},
+      // Responses stored per credential scope (CredentialPolicy)
+      credentialScoped: 0,
+      // CORS headers adjusted on replay: rewritten (echoed ACAO) | withheld (credentialed, other origin)
+      cors: { rewritten: 0, withheld: 0 },
+      // Response headers not stored: name → times dropped
+      headersDropped: new Map(),
+      swrServed: 0,
+      // Stale entries served because the origin failed, by cause
+      staleIfError: { timeout: 0, "5xx": 0, network: 0 },
+      // Timed-out fetches that landed afterwards: revalidated | updated | dropped | failed
+      late: { revalidated: 0, updated: 0, dropped: 0, failed: 0 },
+      // Origin fetch scheduler: waiting now / most ever waiting, retries, gave up after retrying
+      fetchQueue: 0, fetchQueuePeak: 0, fetchRetries: 0, fetchGaveUp: 0,
+      // Background revalidation outcomes: revalidated | updated | dropped | failed | skipped
+      background: { revalidated: 0, updated: 0, dropped: 0, failed: 0, skipped: 0 },
+      // Range requests: partial (206 from cache) | unsatisfiable (416) |
+      // passthrough (origin 206, not cached) | filled / fillFailed (background full fetch)
+      range: { partial: 0, unsatisfiable: 0, passthrough: 0, filled: 0, fillFailed: 0 },
       bytesFetched: 0, bytesServed: 0,
+      tierHits: { ram: 0, warm: 0, cold: 0 },
+      promoted: 0, demoted: 0,
       byOrigin: {},
       byType: {},
       topAssets: new Map()
@@ -40,44 +161,176 @@ class StorageEngine {
 
   async init() {
     fs.mkdirSync(this.blobDir, { recursive: true });
+    if (this.coldBlobDir) fs.mkdirSync(this.coldBlobDir, { recursive: true });
+    this.journal.init();
 
-    // Load main index
-    if (fs.existsSync(this.indexPath)) {
-      try {
-        const raw = JSON.parse(fs.readFileSync(this.indexPath, "utf-8"));
-        for (const [key, val] of Object.entries(raw)) {
-          this.index.set(key, val);
-        }
-      } catch (err) {
-        log.warn("Storage", "Index corrupted, starting fresh");
+    // A src/cache-era index.json is not ours to validate — keep it for the migrator
+    if (CacheMigrator.setAsideLiveIndex(this.dir)) {
+      log.warn("Storage", "Found a legacy src/cache index.json — run --migrate-cache to import it");
+    }
+    const offsets = this._loadSnapshot();
+    this._loadBlobRefs();
+
+    // Replay mutations journaled (by any process) since the last snapshot
+    const replayed = this.journal.replay(op => this._applyOp(op), offsets);
+    if (replayed > 0) log.info("Storage", `Replayed ${replayed} journal ops`);
+    if (replayed > 0 || this.snapshotDirty) {
+      this.snapshotDirty = false;
+      this.compact();
+    }
+    this.evictionPolicy.restore(this.index);
+    // Tier limits may have been lowered since the last run
+    this._evictIfNeeded();
+    this._collectBlobs();
+
+    this.syncTimer = setInterval(() => {
+      this.sync();
+      this._collectBlobs();
+      this._demoteIdle();
+    }, this.syncMs);
+    this.syncTimer.unref();
+
+    // Metadata only — blobs are loaded lazily by getBlob()
+    log.info("Storage", `Initialized: ${this.index.size} entries, ${this.aliasIndex.size} aliases, ${this.blobRefs.size} blobs, ${(this.totalSize / 1024 / 1024).toFixed(1)}MB indexed`);
+    log.info("Storage", `RAM blob cache: ${(this.ramMaxBytes / 1024 / 1024).toFixed(0)}MB budget | Eviction policy: ${this.evictionPolicy.name}`);
+    if (this.coldBlobDir) {
+      log.info("Storage", `Cold tier: ${this.coldBlobDir} (${this.coldBlobs.size} blobs, ${(this.coldBytes / 1024 / 1024).toFixed(1)}MB)`);
+    }
+    log.info("Storage", `Default body TTL: ${(this.maxAge / 3600000).toFixed(1)}h | Stale validator TTL: ${(this.staleTTL / 86400000).toFixed(0)}d`);
+  }
+
+  /**
+   * Load index.json + alias-index.json + vary-index.json into the (empty) in-memory maps and
+   * return the journal offsets they include. The manifest is read before and
+   * after the snapshot files; a compaction in between means a retry.
+   */
+  _loadSnapshot() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const before = this._readManifest();
+      this.index.clear();
+      this.aliasIndex.clear();
+      this.varyIndex.clear();
+
+      const loaded = [
+        this._loadSchemaFile(this.indexPath, this.index, upgradeEntry, invalidEntry),
+        this._loadSchemaFile(this.aliasIndexPath, this.aliasIndex, v => v, invalidAlias),
+        this._loadSchemaFile(this.varyIndexPath, this.varyIndex, v => v, invalidVary)
+      ];
+
+      const after = this._readManifest();
+      if (before.generation === after.generation) {
+        this.generation = after.generation;
+        for (const result of loaded) this._reportLoad(result);
+        return after.offsets;
       }
     }
+    log.warn("Storage", "Snapshot kept changing while loading — replaying all journals");
+    this.generation = this._readManifest().generation;
+    return {};
+  }
+
+  /**
+   * Read one schema file into `map`, running the upgrade steps for its
+   * version. Returns what the caller should report / quarantine; nothing is
+   * written here because _loadSnapshot() may retry.
+   */
+  _loadSchemaFile(file, map, upgrade, invalid) {
+    const result = { file, version: SCHEMA_VERSION, bad: {}, badCount: 0, corrupt: null };
+    if (!fs.existsSync(file)) return result;
+    let doc;
+    try {
+      doc = readSchemaFile(file);
+    } catch (err) {
+      if (err.code === "ESCHEMA") throw err;
+      result.corrupt = err.message;
+      return result;
+    }
+    result.version = doc.version;
+    for (const [key, val] of Object.entries(doc.entries)) {
+      const entry = upgrade(val, doc.version);
+      const reason = invalid(entry);
+      if (reason) {
+        result.bad[key] = { reason, entry: val };
+        result.badCount++;
+      } else {
+        map.set(key, entry);
+      }
+    }
+    return result;
+  }
 
-    // Load alias index
-    if (fs.existsSync(this.aliasIndexPath)) {
+  _reportLoad(result) {
+    const name = path.basename(result.file);
+    if (result.corrupt) {
+      const dest = this._quarantinePath(name, ".corrupt");
       try {
-        const raw = JSON.parse(fs.readFileSync(this.aliasIndexPath, "utf-8"));
-        for (const [key, val] of Object.entries(raw)) {
-          this.aliasIndex.set(key, val);
-        }
+        fs.copyFileSync(result.file, dest);
+        log.warn("Storage", `${name} unreadable (${result.corrupt}) — copied to ${dest}, starting it fresh`);
       } catch (err) {
-        log.warn("Storage", "Alias index corrupted, starting fresh");
+        log.warn("Storage", `${name} unreadable (${result.corrupt}) and could not be quarantined: ${err.message}`);
       }
+      this.snapshotDirty = true;
+      return;
+    }
+    if (result.version < SCHEMA_VERSION) {
+      log.info("Storage", `Upgraded ${name} from schema v${result.version} to v${SCHEMA_VERSION}`);
+      this.snapshotDirty = true;
     }
+    if (result.badCount > 0) {
+      this._quarantine(name, result.version, result.bad);
+      log.warn("Storage", `Quarantined ${result.badCount} unreadable entr${result.badCount === 1 ? "y" : "ies"} from ${name}`);
+      this.snapshotDirty = true;
+    }
+  }
 
-    // Pre-load blobs into RAM
-    let diskSize = 0;
-    for (const [, meta] of this.index) {
-      const blobPath = this._blobPath(meta.blobHash);
-      if (fs.existsSync(blobPath) && !this.blobs.has(meta.blobHash)) {
-        const buf = fs.readFileSync(blobPath);
-        this.blobs.set(meta.blobHash, buf);
-        diskSize += buf.length;
-      }
+  _quarantinePath(name, ext) {
+    fs.mkdirSync(this.quarantineDir, { recursive: true });
+    return path.join(this.quarantineDir, `${name.replace(/\.json$/, "")}-${Date.now()}-${process.pid}${ext}`);
+  }
+
+  /**
+   * Keep entries we could not load, with the reason, for manual recovery.
+   */
+  _quarantine(name, schema, entries) {
+    try {
+      const doc = { source: name, schema, quarantinedAt: Date.now(), entries };
+      fs.writeFileSync(this._quarantinePath(name, ".json"), JSON.stringify(doc));
+    } catch (err) {
+      log.warn("Storage", `Could not write quarantine file: ${err.message}`);
     }
+  }
 
-    log.info("Storage", `Initialized: ${this.index.size} entries, ${this.aliasIndex.size} aliases, ${(diskSize / 1024 / 1024).toFixed(1)}MB on disk`);
-    log.info("Storage", `Body TTL: ${(this.maxAge / 3600000).toFixed(1)}h | Stale validator TTL: ${(this.staleTTL / 86400000).toFixed(0)}d`);
+  _readManifest() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.manifestPath, "utf-8"));
+      return { generation: raw.generation || null, offsets: raw.offsets || {} };
+    } catch (_) {
+      return { generation: null, offsets: {} };
+    }
+  }
+
+  /**
+   * Pick up index changes made by sibling processes sharing this CACHE_DIR.
+   * After another process compacted, reload its snapshot and replay the
+   * journals from the recorded offsets; otherwise just tail their journals.
+   */
+  sync() {
+    const manifest = this._readManifest();
+    if (manifest.generation !== this.generation) {
+      this._reload();
+      return;
+    }
+    const applied = this.journal.tail(op => this._applyOp(op));
+    if (applied > 0) log.debug("Storage", `Synced ${applied} ops from sibling processes`);
+  }
+
+  _reload() {
+    this.journal.flush();
+    const offsets = this._loadSnapshot();
+    this._loadBlobRefs();
+    this.journal.replay(op => this._applyOp(op), offsets);
+    this.evictionPolicy.restore(this.index);
+    log.debug("Storage", `Reloaded shared snapshot: ${this.index.size} entries`);
   }
 
   urlToKey(url) {
@@ -88,15 +341,49 @@ class StorageEngine {
     return crypto.createHash("sha256").update(buffer).digest("hex");
   }
 
-  _blobPath(hash) {
+  _blobPath(hash, tier = "warm") {
     const shard = hash.substring(0, 2);
-    return path.join(this.blobDir, shard, hash);
+    return path.join(tier === "cold" ? this.coldBlobDir : this.blobDir, shard, hash);
   }
 
   _totalRAMSize() {
-    let total = 0;
-    for (const [, buf] of this.blobs) total += buf.length;
-    return total;
+    return this.ramBytes;
+  }
+
+  /**
+   * RAM LRU lookup — moves the blob to the most-recent end on hit.
+   */
+  _ramGet(hash) {
+    const buf = this.blobs.get(hash);
+    if (!buf) return null;
+    this.blobs.delete(hash);
+    this.blobs.set(hash, buf);
+    return buf;
+  }
+
+  /**
+   * RAM LRU insert — evicts least-recently-used blobs until within ramMaxBytes.
+   * Bodies larger than the whole budget are never held in RAM.
+   */
+  _ramPut(hash, buf) {
+    if (this.blobs.has(hash)) {
+      this._ramGet(hash);
+      return;
+    }
+    if (buf.length > this.ramMaxBytes) return;
+    while (this.ramBytes + buf.length > this.ramMaxBytes && this.blobs.size > 0) {
+      const oldest = this.blobs.keys().next().value;
+      this._ramDelete(oldest);
+    }
+    this.blobs.set(hash, buf);
+    this.ramBytes += buf.length;
+  }
+
+  _ramDelete(hash) {
+    const buf = this.blobs.get(hash);
+    if (!buf) return;
+    this.ramBytes -= buf.length;
+    this.blobs.delete(hash);
   }
 
   /**
@@ -116,7 +403,7 @@ class StorageEngine {
     const meta = this.index.get(cacheKey);
     if (!meta) return null;
     const age = Date.now() - meta.storedAt;
-    if (age < this.staleTTL) return meta;
+    if (age < Math.max(this.staleTTL, this._ttl(meta))) return meta;
     // Truly expired beyond stale TTL — clean up
     return null;
   }
@@ -126,18 +413,69 @@ class StorageEngine {
    * Returns meta from the alias's canonical key (if it has validators).
    */
   peekAlias(aliasKey) {
-    if (!aliasKey) return null;
-    const canonKey = this.aliasIndex.get(aliasKey);
+    const canonKey = this.resolveAlias(aliasKey);
     if (!canonKey) return null;
     return this.peekMetaAllowStale(canonKey);
   }
 
   /**
-   * Check if body is fresh (within CACHE_MAX_AGE).
+   * Map an alias key to the cache key it currently points at.
+   */
+  resolveAlias(aliasKey) {
+    if (!aliasKey) return null;
+    return this.aliasIndex.get(aliasKey) || null;
+  }
+
+  /**
+   * Header names the variants of a base key are keyed by, or null if the
+   * key has no Vary record.
+   */
+  getVary(baseKey) {
+    return this.varyIndex.get(baseKey) || null;
+  }
+
+  /**
+   * Record (or clear, with null/[]) what a base key varies on. When the
+   * header set changes, variants keyed by the old set — and a plain entry
+   * under the base key — can no longer be selected, so they are dropped.
+   */
+  setVary(baseKey, headers) {
+    const next = headers && headers.length > 0 ? headers : null;
+    const prev = this.varyIndex.get(baseKey) || null;
+    if ((prev && prev.join(",")) === (next && next.join(","))) return;
+    if (next && this.index.has(baseKey)) this.remove(baseKey);
+    if (prev) {
+      for (const [key, meta] of [...this.index]) {
+        if (meta.varyBase === baseKey) this.remove(key);
+      }
+    }
+    if (next) {
+      this.varyIndex.set(baseKey, next);
+      this._journal({ op: "vary", key: baseKey, headers: next });
+    } else {
+      this.varyIndex.delete(baseKey);
+      this._journal({ op: "unvary", key: baseKey });
+    }
+  }
+
+  /**
+   * Check if body is fresh — within the entry's own lifetime (from its
+   * response headers), or CACHE_MAX_AGE for entries stored without one.
    */
   isFresh(meta) {
     if (!meta) return false;
-    return (Date.now() - meta.storedAt) < this.maxAge;
+    return (Date.now() - meta.storedAt) < this._ttl(meta);
+  }
+
+  _ttl(meta) {
+    return typeof meta.ttl === "number" ? meta.ttl : this.maxAge;
+  }
+
+  /**
+   * How long past its freshness lifetime an entry is (negative while fresh).
+   */
+  staleAge(meta) {
+    return Date.now() - meta.storedAt - this._ttl(meta);
   }
 
   /**
@@ -147,25 +485,249 @@ class StorageEngine {
     return meta && (meta.etag || meta.lastModified);
   }
 
+  /**
+   * Blob body by hash: RAM first, then the warm and cold disk tiers.
+   * A cold hit promotes the blob back to warm.
+   */
   getBlob(blobHash) {
-    if (this.blobs.has(blobHash)) return this.blobs.get(blobHash);
-    const p = this._blobPath(blobHash);
-    if (fs.existsSync(p)) {
-      const buf = fs.readFileSync(p);
-      this.blobs.set(blobHash, buf);
-      return buf;
+    const cached = this._ramGet(blobHash);
+    if (cached) {
+      this.stats.tierHits.ram++;
+      return cached;
+    }
+    const stored = this._readTier(blobHash);
+    if (!stored) return null;
+    let buf;
+    try {
+      buf = this._decode(stored.raw, blobHash);
+    } catch (err) {
+      log.warn("Storage", `Blob ${blobHash.substring(0, 12)} unreadable: ${err.message}`);
+      return null;
+    }
+    this.stats.tierHits[stored.tier]++;
+    if (stored.tier === "cold") this._promote(blobHash);
+    this._ramPut(blobHash, buf);
+    return buf;
+  }
+
+  /**
+   * Read stored blob bytes from whichever disk tier has them. Warm, cold,
+   * then warm again: a sibling may be moving the file between tiers.
+   */
+  _readTier(hash) {
+    const order = this.coldBlobDir ? ["warm", "cold", "warm"] : ["warm"];
+    for (const tier of order) {
+      try {
+        return { tier, raw: fs.readFileSync(this._blobPath(hash, tier)) };
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          log.warn("Storage", `Blob ${hash.substring(0, 12)} unreadable: ${err.message}`);
+          return null;
+        }
+      }
     }
     return null;
   }
 
+  /**
+   * Move a blob file between disk tiers — rename() on one filesystem,
+   * copy + unlink across devices. False if the source is already gone.
+   */
+  _moveBlob(hash, from, to) {
+    const src = this._blobPath(hash, from);
+    const dest = this._blobPath(hash, to);
+    try {
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      try {
+        fs.renameSync(src, dest);
+      } catch (err) {
+        if (err.code !== "EXDEV") throw err;
+        const tmpPath = dest + ".tmp." + process.pid;
+        fs.copyFileSync(src, tmpPath);
+        fs.renameSync(tmpPath, dest);
+        fs.unlinkSync(src);
+      }
+      return true;
+    } catch (err) {
+      if (err.code !== "ENOENT") log.warn("Storage", `Blob ${hash.substring(0, 12)} ${from} → ${to} failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  _promote(hash) {
+    if (!this._moveBlob(hash, "cold", "warm")) return;
+    this._markTier(hash, "warm");
+    this._journal({ op: "tier", hash, tier: "warm" });
+    this.stats.promoted++;
+    // Promotion grows the warm tier as much as a put does
+    this._evictIfNeeded(hash);
+  }
+
+  _demote(hash, size) {
+    if (!this._moveBlob(hash, "warm", "cold")) return;
+    this._markTier(hash, "cold", size);
+    this._journal({ op: "tier", hash, tier: "cold", size });
+    this.stats.demoted++;
+  }
+
+  _markTier(hash, tier, size = 0) {
+    const cold = this.coldBlobs.get(hash);
+    if (tier === "cold" && cold === undefined) {
+      this.coldBlobs.set(hash, size);
+      this.coldBytes += size;
+    } else if (tier !== "cold" && cold !== undefined) {
+      this.coldBlobs.delete(hash);
+      this.coldBytes -= cold;
+    }
+  }
+
+  _warmBytes() {
+    return this.diskBytes - this.coldBytes;
+  }
+
+  _tierOver(tier) {
+    if (tier === "warm") return this.warmMaxBytes > 0 && this._warmBytes() > this.warmMaxBytes;
+    return !!this.coldBlobDir && this.coldMaxBytes > 0 && this.coldBytes > this.coldMaxBytes;
+  }
+
+  /**
+   * Move blobs none of whose entries were accessed within demoteIdleMs down
+   * to the cold tier. Runs from the sync timer, at most once a minute.
+   */
+  _demoteIdle() {
+    if (!this.coldBlobDir || !this.demoteIdleMs || Date.now() - this.lastIdleScan < 60000) return;
+    this.lastIdleScan = Date.now();
+    const lastUse = new Map();
+    for (const [, meta] of this.index) {
+      if (this.coldBlobs.has(meta.blobHash)) continue;
+      const at = meta.lastAccess || meta.storedAt || 0;
+      const prev = lastUse.get(meta.blobHash);
+      if (!prev || at > prev.at) lastUse.set(meta.blobHash, { at, size: meta.diskSize || meta.size || 0 });
+    }
+    const cutoff = Date.now() - this.demoteIdleMs;
+    let moved = 0;
+    for (const [hash, use] of lastUse) {
+      if (use.at >= cutoff) continue;
+      this._demote(hash, use.size);
+      moved++;
+    }
+    if (moved > 0) log.info("Storage", `Demoted ${moved} idle blob(s) to the cold tier`);
+  }
+
+  _decode(raw, blobHash) {
+    const info = this.blobCodecs.get(blobHash);
+    return info ? this.decodeStored(raw, info.codec) : raw;
+  }
+
+  _isCompressible(body, headers) {
+    if (this.compressCodec === "none" || body.length < this.compressMinSize) return false;
+    const ct = (headers["content-type"] || "").toLowerCase();
+    return COMPRESSIBLE_TYPES.some(t => ct.includes(t));
+  }
+
+  /**
+   * Encode a body for storage. Returns { codec, data }; falls back to the
+   * raw bytes when compression is off or does not shrink the body.
+   */
+  async _encode(body, headers) {
+    if (!this._isCompressible(body, headers)) return { codec: null, data: body };
+    let data;
+    if (this.compressCodec === "br") {
+      data = await brotliCompress(body, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: this.compressLevel }
+      });
+    } else {
+      data = await gzip(body, { level: this.compressLevel });
+    }
+    if (data.length >= body.length) return { codec: null, data: body };
+    return { codec: this.compressCodec, data };
+  }
+
   refreshTTL(cacheKey) {
+    this.setStoredAt(cacheKey, Date.now());
+  }
+
+  /**
+   * Fold a 304 into the cache (RFC 9111 §4.3.4): the stored headers it
+   * repeats are replaced, validators and freshness are recomputed and the
+   * entry is fresh again. `sourceKey` is the entry that was revalidated;
+   * when it differs from `cacheKey` (an alias-sourced revalidation) it is
+   * updated too, and the merged entry is also written under `cacheKey`,
+   * sharing the blob, so the requested URL hits directly next time.
+   * A 304 carrying CORS headers re-describes the entry's CORS semantics
+   * for `requestOrigin` (the revalidating request's Origin).
+   * Returns the meta now stored under `cacheKey`.
+   */
+  updateFrom304(cacheKey, sourceKey, respHeaders, url, requestOrigin) {
+    const source = this.index.get(sourceKey);
+    if (!source) return null;
+    // Expires / Date / Age are not stored: judge freshness on the 304 itself
+    const freshness = this.cachePolicy.evaluate({ ...(source.headers || {}), ...respHeaders }, source.origin, source.status || 200);
+    const headers = { ...(source.headers || {}), ...this._pickCacheHeaders(respHeaders, source.origin, source.resourceType) };
+    const corsChanged = "access-control-allow-origin" in respHeaders || "access-control-allow-credentials" in respHeaders;
+    const fields = {
+      headers,
+      cors: corsChanged ? describeCors(headers, requestOrigin) : (source.cors || null),
+      etag: respHeaders["etag"] || source.etag,
+      lastModified: respHeaders["last-modified"] || source.lastModified,
+      storedAt: Date.now(),
+      ttl: freshness.ttl,
+      mustRevalidate: freshness.mustRevalidate,
+      swr: freshness.staleWhileRevalidate,
+      sie: freshness.staleIfError,
+      immutable: freshness.immutable
+    };
+    Object.assign(source, fields);
+    this._journal({ op: "patch", key: sourceKey, fields });
+    if (cacheKey === sourceKey) return source;
+
+    const meta = { ...source, ...fields, headers: { ...fields.headers }, url: url || source.url };
+    this.evictionPolicy.onInsert(meta, this.index.get(cacheKey));
+    this._setEntry(cacheKey, meta);
+    this._journal({ op: "put", key: cacheKey, meta });
+    this._evictIfNeeded();
+    return meta;
+  }
+
+  /**
+   * Override an entry's storedAt (freshness base). Migration uses this to
+   * keep the age an entry had in its legacy store.
+   */
+  setStoredAt(cacheKey, storedAt) {
     const meta = this.index.get(cacheKey);
     if (meta) {
-      meta.storedAt = Date.now();
-      this._saveIndex();
+      meta.storedAt = storedAt;
+      this._journal({ op: "patch", key: cacheKey, fields: { storedAt } });
     }
   }
 
+  /**
+   * Drop an index entry (journaled). Its blob goes with the last reference.
+   */
+  remove(cacheKey) {
+    if (!this._removeEntry(cacheKey)) return false;
+    this._journal({ op: "del", key: cacheKey });
+    return true;
+  }
+
+  removeAlias(aliasKey) {
+    if (!this.aliasIndex.delete(aliasKey)) return false;
+    this._journal({ op: "unalias", key: aliasKey });
+    return true;
+  }
+
+  /**
+   * Record a cache hit on an entry for the eviction policy.
+   */
+  touch(cacheKey) {
+    const meta = this.index.get(cacheKey);
+    if (!meta) return;
+    this.evictionPolicy.onAccess(meta);
+    const fields = { lastAccess: meta.lastAccess, hits: meta.hits };
+    if (meta.priority !== undefined) fields.priority = meta.priority;
+    this._journal({ op: "patch", key: cacheKey, fields });
+  }
+
   isDedup(cacheKey) {
     return this.dedupSet.has(cacheKey);
   }
@@ -175,81 +737,477 @@ class StorageEngine {
     return meta ? meta.blobHash.substring(0, 12) : "unknown";
   }
 
-  async put(cacheKey, url, body, headers, resourceType, origin, aliasKey, requestHeaders) {
+  async put(cacheKey, url, body, headers, resourceType, origin, aliasKey, requestHeaders, target, varyBase, status = 200) {
+    // Content address is always the hash of the decoded bytes
     const hash = this._blobHash(body);
-    const isNewBlob = !this.blobs.has(hash);
-
-    if (isNewBlob) {
-      const blobPath = this._blobPath(hash);
-      const dir = path.dirname(blobPath);
-      fs.mkdirSync(dir, { recursive: true });
-      const tmpPath = blobPath + ".tmp." + process.pid;
-      fs.writeFileSync(tmpPath, body);
-      fs.renameSync(tmpPath, blobPath);
-      this.blobs.set(hash, body);
+    let codec = null;
+    let diskSize = body.length;
+
+    // A sibling process may have unlinked a blob we still think is shared
+    if (!this._reuseBlob(hash)) {
+      const encoded = await this._encode(body, headers);
+      codec = encoded.codec;
+      diskSize = encoded.data.length;
+      this._writeBlob(hash, encoded.data, codec);
+      this._ramPut(hash, body);
     } else {
       this.dedupSet.add(cacheKey);
+      const info = this.blobCodecs.get(hash);
+      if (info) {
+        codec = info.codec;
+        diskSize = info.diskSize;
+      }
     }
 
     // Determine vary-aware key suffix
     const vary = headers["vary"] || null;
+    const freshness = this.cachePolicy.evaluate(headers, origin, status);
 
-    this.index.set(cacheKey, {
+    const meta = {
       url,
       blobHash: hash,
       storedAt: Date.now(),
-      headers: this._pickCacheHeaders(headers),
+      status,
+      headers: this._pickCacheHeaders(headers, origin, resourceType),
+      // What the stored Access-Control-Allow-Origin means for later requesters
+      cors: describeCors(headers, (requestHeaders || {})["origin"]),
       etag: headers["etag"] || null,
       lastModified: headers["last-modified"] || null,
       vary: vary || null,
       resourceType,
       origin,
-      size: body.length
-    });
+      target: target || null,
+      varyBase: varyBase || null,
+      ttl: freshness.ttl,
+      mustRevalidate: freshness.mustRevalidate,
+      swr: freshness.staleWhileRevalidate,
+      sie: freshness.staleIfError,
+      immutable: freshness.immutable,
+      size: body.length,
+      codec,
+      diskSize
+    };
+    this.evictionPolicy.onInsert(meta, this.index.get(cacheKey));
+    this._setEntry(cacheKey, meta);
+    this._journal({ op: "put", key: cacheKey, meta });
 
     // Register alias for cross-cachebuster revalidation
-    if (aliasKey) {
-      this.aliasIndex.set(aliasKey, cacheKey);
-      this._saveAliasIndex();
-    }
+    if (aliasKey) this.addAlias(aliasKey, cacheKey);
 
-    this._saveIndex();
     this._evictIfNeeded();
   }
 
+  addAlias(aliasKey, cacheKey) {
+    this.aliasIndex.set(aliasKey, cacheKey);
+    this._journal({ op: "alias", key: aliasKey, target: cacheKey });
+  }
+
   /**
-   * Pick safe headers for replay.
-   * CRITICAL: Drop content-encoding & content-length.
-   * Replaying these causes content corruption (Playwright decompresses bodies).
-   */
-  _pickCacheHeaders(headers) {
-    const keep = [
-      "content-type",
-      "cache-control",
-      "etag",
-      "last-modified",
-      "vary",
-      "access-control-allow-origin",
-      "access-control-allow-credentials",
-      "access-control-allow-methods",
-      "access-control-allow-headers",
-      "access-control-expose-headers",
-      "timing-allow-origin",
-      "x-content-type-options",
-    ];
-    const result = {};
-    for (const k of keep) {
-      if (headers[k]) result[k] = headers[k];
-    }
-    // NEVER include content-encoding or content-length
-    return result;
+   * Is this blob referenced and present on disk?
+   */
+  hasBlob(hash) {
+    if (!this.blobRefs.has(hash)) return false;
+    return fs.existsSync(this._blobPath(hash)) ||
+      (!!this.coldBlobDir && fs.existsSync(this._blobPath(hash, "cold")));
+  }
+
+  /**
+   * hasBlob() for a blob we are about to reference again. Its mtime is
+   * refreshed so a sibling's _sweepBlobs(), which cannot see our put until
+   * it is flushed, leaves the file alone.
+   */
+  _reuseBlob(hash) {
+    if (!this.blobRefs.has(hash)) return false;
+    const now = new Date();
+    for (const tier of this.coldBlobDir ? ["warm", "cold"] : ["warm"]) {
+      try {
+        fs.utimesSync(this._blobPath(hash, tier), now, now);
+        return true;
+      } catch (_) {}
+    }
+    return false;
+  }
+
+  /**
+   * Atomically write stored (possibly compressed) blob bytes to the warm
+   * tier. When re-creating a blob that is still referenced, its codec and
+   * tier records must follow the new bytes.
+   */
+  _writeBlob(hash, data, codec) {
+    const blobPath = this._blobPath(hash);
+    fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+    const tmpPath = blobPath + ".tmp." + process.pid;
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, blobPath);
+    this._markTier(hash, "warm");
+    if (this.blobRefs.has(hash)) {
+      if (codec) this.blobCodecs.set(hash, { codec, diskSize: data.length });
+      else this.blobCodecs.delete(hash);
+    }
+  }
+
+  /**
+   * Read a blob as stored on disk (still encoded), with its codec.
+   */
+  readStoredBlob(hash) {
+    const stored = this._readTier(hash);
+    if (!stored) return null;
+    const info = this.blobCodecs.get(hash);
+    return { data: stored.raw, codec: info ? info.codec : null };
+  }
+
+  /**
+   * Insert an entry whose blob arrives already encoded (cache import).
+   * `stored` is { data, codec }; the blob is written only if we lack it.
+   * Existing blobs keep their own codec.
+   */
+  importEntry(cacheKey, meta, stored) {
+    const entry = { ...meta, codec: stored.codec || null, diskSize: stored.data.length };
+    if (this._reuseBlob(meta.blobHash)) {
+      const info = this.blobCodecs.get(meta.blobHash);
+      entry.codec = info ? info.codec : null;
+      entry.diskSize = info ? info.diskSize : meta.size;
+    } else {
+      this._writeBlob(meta.blobHash, stored.data, entry.codec);
+    }
+    this.evictionPolicy.onInsert(entry, this.index.get(cacheKey));
+    this._setEntry(cacheKey, entry);
+    this._journal({ op: "put", key: cacheKey, meta: entry });
+  }
+
+  /**
+   * Decode stored blob bytes with an explicit codec (no index lookup).
+   */
+  decodeStored(data, codec) {
+    if (codec === "gzip") return zlib.gunzipSync(data);
+    if (codec === "br") return zlib.brotliDecompressSync(data);
+    return data;
+  }
+
+  /**
+   * Pick headers for replay per cache.headers (HeaderPolicy).
+   * CRITICAL: content-encoding & content-length are always dropped —
+   * replaying them corrupts content (Playwright decompresses bodies).
+   */
+  _pickCacheHeaders(headers, origin, resourceType) {
+    const { kept, dropped } = this.headerPolicy.pick(headers, origin, resourceType);
+    for (const name of dropped) {
+      this.stats.headersDropped.set(name, (this.stats.headersDropped.get(name) || 0) + 1);
+    }
+    return kept;
+  }
+
+  /**
+   * Insert/replace an index entry, keeping refcounts and totalSize in step.
+   * A blob whose last reference goes away leaves RAM at once and disk at
+   * the next _sweepBlobs().
+   */
+  _setEntry(cacheKey, meta) {
+    this._acquireBlob(meta);
+    this.totalSize += (meta.size || 0);
+    this._trackBuckets(meta, 1);
+    const old = this.index.get(cacheKey);
+    this.index.set(cacheKey, meta);
+    if (old) this._releaseEntry(old);
+  }
+
+  _removeEntry(cacheKey) {
+    const meta = this.index.get(cacheKey);
+    if (!meta) return null;
+    this.index.delete(cacheKey);
+    this._releaseEntry(meta);
+    return meta;
+  }
+
+  /**
+   * Drop one reference to an entry's blob. Its files are never unlinked
+   * here: this process's refcounts can lag a sibling that just reused the
+   * blob, and a replayed op may already be folded into the snapshot, so
+   * releasing its blob says nothing about whether a later op references it
+   * again. _sweepBlobs() decides under the lock.
+   */
+  _releaseEntry(meta) {
+    this.totalSize -= (meta.size || 0);
+    this._trackBuckets(meta, -1);
+    const refs = (this.blobRefs.get(meta.blobHash) || 0) - 1;
+    if (refs > 0) {
+      this.blobRefs.set(meta.blobHash, refs);
+      return;
+    }
+    this.blobRefs.delete(meta.blobHash);
+    this.blobCodecs.delete(meta.blobHash);
+    this.blobBytes -= (meta.size || 0);
+    this.diskBytes -= (meta.diskSize || meta.size || 0);
+    this._ramDelete(meta.blobHash);
+    this._markTier(meta.blobHash, "warm");
+    this.unreferenced.add(meta.blobHash);
+  }
+
+  /**
+   * Unlink blobs that lost their last reference. Only called under the
+   * index lock with every sibling journal applied, so the refcounts are the
+   * whole cache's. Blobs modified within a few journal flush windows are
+   * kept for a later sweep — a sibling may have reused one without having
+   * flushed its put yet.
+   */
+  _sweepBlobs() {
+    const cutoff = Date.now() - this.journal.flushMs * 5;
+    for (const hash of this.unreferenced) {
+      if (this.blobRefs.has(hash)) {
+        this.unreferenced.delete(hash);
+        continue;
+      }
+      const files = this.coldBlobDir ? [this._blobPath(hash), this._blobPath(hash, "cold")] : [this._blobPath(hash)];
+      const recent = files.some(file => {
+        try { return fs.statSync(file).mtimeMs > cutoff; } catch (_) { return false; }
+      });
+      if (recent) continue;
+      for (const file of files) {
+        try { fs.unlinkSync(file); } catch (_) {}
+      }
+      this.unreferenced.delete(hash);
+    }
+  }
+
+  /**
+   * Sweep unreferenced blobs now if the lock is free (compaction sweeps
+   * otherwise).
+   */
+  _collectBlobs() {
+    if (this.unreferenced.size === 0 || !this.lock.tryAcquire()) return;
+    try {
+      this.sync();
+      this._sweepBlobs();
+    } finally {
+      this.lock.release();
+    }
+  }
+
+  _acquireBlob(meta) {
+    const refs = this.blobRefs.get(meta.blobHash) || 0;
+    this.blobRefs.set(meta.blobHash, refs + 1);
+    if (refs > 0) return;
+    if (meta.codec) this.blobCodecs.set(meta.blobHash, { codec: meta.codec, diskSize: meta.diskSize });
+    this.blobBytes += (meta.size || 0);
+    this.diskBytes += (meta.diskSize || meta.size || 0);
+  }
+
+  _bucketsOf(meta) {
+    const keys = [];
+    if (meta.target) keys.push(`target:${meta.target}`);
+    if (meta.origin) keys.push(`origin:${meta.origin}`);
+    return keys;
+  }
+
+  _trackBuckets(meta, sign) {
+    for (const b of this._bucketsOf(meta)) {
+      this.bucketSizes.set(b, (this.bucketSizes.get(b) || 0) + sign * (meta.size || 0));
+    }
+  }
+
+  /**
+   * Load the persisted refcount table. It is only trusted when written after
+   * the index snapshot it describes; otherwise it is rebuilt in one pass.
+   */
+  _loadBlobRefs() {
+    try {
+      const refsStat = fs.statSync(this.blobRefsPath);
+      const indexStat = fs.statSync(this.indexPath);
+      const raw = JSON.parse(fs.readFileSync(this.blobRefsPath, "utf-8"));
+      if (refsStat.mtimeMs >= indexStat.mtimeMs && raw.entries === this.index.size) {
+        this.blobRefs = new Map(Object.entries(raw.refs));
+        this.blobCodecs = new Map(Object.entries(raw.codecs || {}));
+        this.totalSize = raw.totalSize;
+        this.blobBytes = raw.blobBytes || 0;
+        this.diskBytes = raw.diskBytes || 0;
+        this.bucketSizes = new Map(Object.entries(raw.buckets || {}));
+        this.coldBlobs = new Map(Object.entries(this.coldBlobDir ? raw.cold || {} : {}));
+        this.coldBytes = 0;
+        for (const [, size] of this.coldBlobs) this.coldBytes += size;
+        for (const hash of raw.unreferenced || []) this.unreferenced.add(hash);
+        return;
+      }
+    } catch (_) {}
+
+    this.rebuildBlobRefs();
+    if (this.index.size > 0) log.info("Storage", `Rebuilt blob refcounts for ${this.index.size} entries`);
+    // The pending sweep list went with the old table — find its blobs on disk
+    this._findUnreferencedBlobs();
+  }
+
+  /**
+   * Queue every blob file without a reference for _sweepBlobs().
+   */
+  _findUnreferencedBlobs() {
+    const dirs = this.coldBlobDir ? [this.blobDir, this.coldBlobDir] : [this.blobDir];
+    for (const dir of dirs) {
+      let shards = [];
+      try { shards = fs.readdirSync(dir); } catch (_) {}
+      for (const shard of shards) {
+        let files = [];
+        try { files = fs.readdirSync(path.join(dir, shard)); } catch (_) {}
+        for (const hash of files) {
+          if (/^[0-9a-f]{64}$/.test(hash) && !this.blobRefs.has(hash)) this.unreferenced.add(hash);
+        }
+      }
+    }
+  }
+
+  /**
+   * Recompute refcounts, codec table, size totals and (with a cold tier)
+   * which blobs live in it from the index.
+   */
+  rebuildBlobRefs() {
+    this.blobRefs.clear();
+    this.blobCodecs.clear();
+    this.bucketSizes.clear();
+    this.totalSize = 0;
+    this.blobBytes = 0;
+    this.diskBytes = 0;
+    this.coldBlobs.clear();
+    this.coldBytes = 0;
+    for (const [, meta] of this.index) {
+      this._acquireBlob(meta);
+      this.totalSize += (meta.size || 0);
+      this._trackBuckets(meta, 1);
+    }
+    if (!this.coldBlobDir) return;
+    for (const hash of this.blobRefs.keys()) {
+      if (fs.existsSync(this._blobPath(hash))) continue;
+      try {
+        this._markTier(hash, "cold", fs.statSync(this._blobPath(hash, "cold")).size);
+      } catch (_) {}
+    }
+  }
+
+  _saveBlobRefs() {
+    const obj = {
+      entries: this.index.size,
+      totalSize: this.totalSize,
+      blobBytes: this.blobBytes,
+      diskBytes: this.diskBytes,
+      buckets: {},
+      codecs: {},
+      cold: {},
+      refs: {},
+      unreferenced: [...this.unreferenced]
+    };
+    for (const [k, v] of this.bucketSizes) obj.buckets[k] = v;
+    for (const [k, v] of this.blobCodecs) obj.codecs[k] = v;
+    for (const [k, v] of this.coldBlobs) obj.cold[k] = v;
+    for (const [k, v] of this.blobRefs) obj.refs[k] = v;
+    const tmpPath = this.blobRefsPath + ".tmp." + process.pid;
+    fs.writeFileSync(tmpPath, JSON.stringify(obj));
+    fs.renameSync(tmpPath, this.blobRefsPath);
+  }
+
+  /**
+   * Apply one journal op to the in-memory maps (used by replay). Only maps,
+   * refcounts and totals change — never blob files.
+   */
+  _applyOp(op) {
+    switch (op.op) {
+      case "put": {
+        // Ops carry no schema version — run them through every upgrade step
+        const meta = upgradeEntry(op.meta);
+        const reason = invalidEntry(meta);
+        if (reason) {
+          this._quarantine("journal", 0, { [op.key]: { reason, entry: op.meta } });
+          log.warn("Storage", `Quarantined journal put for ${String(op.key).substring(0, 12)}: ${reason}`);
+          break;
+        }
+        this._setEntry(op.key, meta);
+        break;
+      }
+      case "patch": {
+        const meta = this.index.get(op.key);
+        if (meta) Object.assign(meta, upgradeEntry(op.fields));
+        break;
+      }
+      case "del":
+        this._removeEntry(op.key);
+        break;
+      case "alias":
+        this.aliasIndex.set(op.key, op.target);
+        break;
+      case "unalias":
+        this.aliasIndex.delete(op.key);
+        break;
+      case "vary":
+        this.varyIndex.set(op.key, op.headers);
+        break;
+      case "unvary":
+        this.varyIndex.delete(op.key);
+        break;
+      case "tier":
+        if (this.blobRefs.has(op.hash)) this._markTier(op.hash, op.tier, op.size);
+        break;
+    }
+  }
+
+  _journal(op) {
+    this.journal.append(op);
+    if (this.journal.needsCompaction()) this.compact();
+  }
+
+  /**
+   * Fold the journals into a fresh snapshot: write index.json,
+   * alias-index.json, vary-index.json and blob-refs.json atomically, then the manifest, then
+   * delete the sealed journal segments. If another process holds the lock,
+   * just seal our segment so it stays bounded; that process (or a later
+   * compaction) folds it.
+   */
+  compact() {
+    if (!this.lock.tryAcquire()) {
+      this.journal.rotate();
+      return false;
+    }
+    try {
+      this.journal.flush();
+      // Bring in everything siblings have written so far
+      if (this._readManifest().generation !== this.generation) {
+        this._reload();
+      } else {
+        this.journal.tail(op => this._applyOp(op));
+      }
+      this.journal.rotate();
+      const sealed = this.journal.sealedSegments();
+      this.journal.drain(sealed, op => this._applyOp(op));
+      this._sweepBlobs();
+
+      this._saveIndex();
+      this._saveAliasIndex();
+      this._saveVaryIndex();
+      this._saveBlobRefs();
+      this.generation = `${Date.now()}-${process.pid}`;
+      const manifest = { generation: this.generation, offsets: this.journal.offsetsExcept(sealed) };
+      const tmpPath = this.manifestPath + ".tmp." + process.pid;
+      fs.writeFileSync(tmpPath, JSON.stringify(manifest));
+      fs.renameSync(tmpPath, this.manifestPath);
+      this.journal.remove(sealed);
+      log.debug("Storage", `Index compacted: ${this.index.size} entries, ${this.aliasIndex.size} aliases`);
+      return true;
+    } finally {
+      this.lock.release();
+    }
+  }
+
+  /**
+   * Persist pending journal ops and compact. Call on shutdown.
+   */
+  close() {
+    if (this.syncTimer) clearInterval(this.syncTimer);
+    this.syncTimer = null;
+    this.journal.flush();
+    this.compact();
+    this.journal.close();
   }
 
   _saveIndex() {
     const obj = {};
     for (const [k, v] of this.index) obj[k] = v;
     const tmpPath = this.indexPath + ".tmp." + process.pid;
-    fs.writeFileSync(tmpPath, JSON.stringify(obj));
+    fs.writeFileSync(tmpPath, JSON.stringify(schemaDocument(obj)));
     fs.renameSync(tmpPath, this.indexPath);
   }
 
@@ -257,30 +1215,96 @@ class StorageEngine {
     const obj = {};
     for (const [k, v] of this.aliasIndex) obj[k] = v;
     const tmpPath = this.aliasIndexPath + ".tmp." + process.pid;
-    fs.writeFileSync(tmpPath, JSON.stringify(obj));
+    fs.writeFileSync(tmpPath, JSON.stringify(schemaDocument(obj)));
     fs.renameSync(tmpPath, this.aliasIndexPath);
   }
 
-  _evictIfNeeded() {
-    let totalSize = 0;
-    for (const [, meta] of this.index) totalSize += (meta.size || 0);
-    if (totalSize <= this.maxSize) return;
-
-    const entries = [...this.index.entries()].sort((a, b) => a[1].storedAt - b[1].storedAt);
-    while (totalSize > this.maxSize * 0.9 && entries.length > 0) {
-      const [key, meta] = entries.shift();
-      totalSize -= (meta.size || 0);
-      this.index.delete(key);
-      // Refcount-aware blob deletion
-      const stillUsed = [...this.index.values()].some(m => m.blobHash === meta.blobHash);
-      if (!stillUsed) {
-        this.blobs.delete(meta.blobHash);
-        const bp = this._blobPath(meta.blobHash);
-        try { fs.unlinkSync(bp); } catch (_) {}
+  _saveVaryIndex() {
+    const obj = {};
+    for (const [k, v] of this.varyIndex) obj[k] = v;
+    const tmpPath = this.varyIndexPath + ".tmp." + process.pid;
+    fs.writeFileSync(tmpPath, JSON.stringify(schemaDocument(obj)));
+    fs.renameSync(tmpPath, this.varyIndexPath);
+  }
+
+  /**
+   * Buckets currently above their configured quota.
+   */
+  _overQuota() {
+    const over = [];
+    for (const [bucket, quota] of this.quotas) {
+      if ((this.bucketSizes.get(bucket) || 0) > quota) over.push(bucket);
+    }
+    return over;
+  }
+
+  _needsEviction() {
+    return this._overQuota().length > 0 || this.totalSize > this.maxSize ||
+      this._tierOver("warm") || this._tierOver("cold");
+  }
+
+  /**
+   * `keepWarm` (a just-promoted blob) is not demoted again by this pass —
+   * its entry's access time is only bumped after the read that promoted it.
+   */
+  _evictIfNeeded(keepWarm = null) {
+    if (!this._needsEviction()) return;
+
+    // Catch up with siblings first so we do not evict on a stale view
+    this.sync();
+    if (!this._needsEviction()) return;
+    const overQuota = this._overQuota();
+
+    const policy = this.evictionPolicy;
+    const entries = [...this.index.entries()].sort((a, b) => policy.priority(a[1]) - policy.priority(b[1]));
+    const evict = (key, meta) => {
+      policy.onEvict(meta);
+      // Refcount-aware: the blob goes only with its last reference
+      this._removeEntry(key);
+      this._journal({ op: "del", key });
+    };
+
+    // Over-quota buckets give up their own lowest-priority entries first
+    for (const bucket of overQuota) {
+      const target = this.quotas.get(bucket) * 0.9;
+      for (const [key, meta] of entries) {
+        if ((this.bucketSizes.get(bucket) || 0) <= target) break;
+        if (this.index.get(key) !== meta) continue;
+        if (this._bucketsOf(meta).includes(bucket)) evict(key, meta);
+      }
+    }
+
+    if (this.totalSize > this.maxSize) {
+      for (const [key, meta] of entries) {
+        if (this.totalSize <= this.maxSize * 0.9) break;
+        if (this.index.get(key) !== meta) continue;
+        evict(key, meta);
+      }
+    }
+
+    // Warm tier overflow moves down to cold (or is evicted without one);
+    // cold tier overflow is evicted
+    if (this._tierOver("warm")) {
+      const demotedBefore = this.stats.demoted;
+      for (const [key, meta] of entries) {
+        if (this._warmBytes() <= this.warmMaxBytes * 0.9) break;
+        if (this.index.get(key) !== meta || this.coldBlobs.has(meta.blobHash) || meta.blobHash === keepWarm) continue;
+        if (this.coldBlobDir) this._demote(meta.blobHash, meta.diskSize || meta.size || 0);
+        else evict(key, meta);
+      }
+      if (this.stats.demoted > demotedBefore) {
+        log.info("Storage", `Demoted ${this.stats.demoted - demotedBefore} blob(s) to the cold tier`);
+      }
+    }
+    if (this._tierOver("cold")) {
+      for (const [key, meta] of entries) {
+        if (this.coldBytes <= this.coldMaxBytes * 0.9) break;
+        if (this.index.get(key) !== meta || !this.coldBlobs.has(meta.blobHash)) continue;
+        evict(key, meta);
       }
     }
-    this._saveIndex();
-    log.info("Storage", `Eviction complete. ${this.index.size} entries remaining.`);
+    this._collectBlobs();
+    log.info("Storage", `Eviction (${policy.name}) complete. ${this.index.size} entries remaining.`);
   }
 
   // --- Stats ---
@@ -301,6 +1325,83 @@ class StorageEngine {
     this._trackTopAsset(url, bytes);
   }
 
+  /**
+   * A response the origin made uncacheable (no-store, private, Vary: *):
+   * fetched, not cached.
+   */
+  recordNotStored(url, resourceType, origin, bytes, reason) {
+    this.stats.notStored++;
+    this.stats.notStoredBy[reason] = (this.stats.notStoredBy[reason] || 0) + 1;
+    this.recordMiss(url, resourceType, origin, bytes);
+  }
+
+  /**
+   * Stale entry served inside its stale-while-revalidate window.
+   */
+  recordSWRHit(url, resourceType, origin, bytes) {
+    this.stats.swrServed++;
+    this.recordHit(url, resourceType, origin, bytes);
+  }
+
+  /**
+   * Result of a background revalidation; bytes is what the origin sent.
+   */
+  recordBackgroundRevalidation(outcome, bytes) {
+    this.stats.background[outcome] = (this.stats.background[outcome] || 0) + 1;
+    this.stats.bytesFetched += bytes;
+  }
+
+  /**
+   * Stale entry served in place of a timed-out, 5xx or failed origin fetch.
+   */
+  recordStaleIfError(url, resourceType, origin, bytes, reason) {
+    this.stats.staleIfError[reason] = (this.stats.staleIfError[reason] || 0) + 1;
+    this.recordHit(url, resourceType, origin, bytes);
+  }
+
+  recordLateFetch(outcome, bytes) {
+    this.stats.late[outcome] = (this.stats.late[outcome] || 0) + 1;
+    this.stats.bytesFetched += bytes;
+  }
+
+  recordFetchQueue(depth) {
+    this.stats.fetchQueue = depth;
+    if (depth > this.stats.fetchQueuePeak) this.stats.fetchQueuePeak = depth;
+  }
+
+  recordFetchRetry() {
+    this.stats.fetchRetries++;
+  }
+
+  recordFetchGiveUp() {
+    this.stats.fetchGaveUp++;
+  }
+
+  recordCors(outcome) {
+    this.stats.cors[outcome] = (this.stats.cors[outcome] || 0) + 1;
+  }
+
+  recordCredentialScoped() {
+    this.stats.credentialScoped++;
+  }
+
+  recordNotModified() {
+    this.stats.notModified++;
+  }
+
+  recordRange(outcome, bytes = 0) {
+    this.stats.range[outcome] = (this.stats.range[outcome] || 0) + 1;
+    this.stats.bytesFetched += bytes;
+  }
+
+  /**
+   * Request answered from another request's in-flight origin fetch.
+   */
+  recordCoalesced(url, resourceType, origin, bytes) {
+    this.stats.coalesced++;
+    this.recordHit(url, resourceType, origin, bytes);
+  }
+
   recordMiss(url, resourceType, origin, bytes) {
     this.stats.misses++;
     this.stats.bytesFetched += bytes;
@@ -333,17 +1434,41 @@ class StorageEngine {
   getReport() {
     const total = this.stats.hits + this.stats.misses;
     const ratio = total > 0 ? ((this.stats.hits / total) * 100).toFixed(1) : "0.0";
-    const uniqueBlobs = new Set([...this.index.values()].map(m => m.blobHash)).size;
+    const uniqueBlobs = this.blobRefs.size;
     const dedups = this.dedupSet.size;
     const ramMB = (this._totalRAMSize() / 1024 / 1024).toFixed(1);
-
-    let diskSize = 0;
-    for (const [, meta] of this.index) diskSize += (meta.size || 0);
-    const diskMB = (diskSize / 1024 / 1024).toFixed(1);
+    const diskMB = (this.totalSize / 1024 / 1024).toFixed(1);
+    const blobMB = (this.blobBytes / 1024 / 1024).toFixed(1);
+    const storedMB = (this.diskBytes / 1024 / 1024).toFixed(1);
 
     let report = `Cache entries: ${this.index.size} | Aliases: ${this.aliasIndex.size} | Unique blobs: ${uniqueBlobs} | Dedup hits: ${dedups}\n`;
-    report += `RAM blobs: ${this.blobs.size} (${ramMB}MB) | Disk: ${diskMB}MB\n`;
-    report += `HIT: ${this.stats.hits} | MISS: ${this.stats.misses} | 304-revalidated: ${this.stats.revalidated} | Ratio: ${ratio}%\n`;
+    report += `Eviction policy: ${this.evictionPolicy.name} | Compression: ${this.compressCodec} (${this.blobCodecs.size} blobs)\n`;
+    report += `Blob bytes: ${blobMB}MB logical | ${storedMB}MB on disk\n`;
+    report += `RAM blobs: ${this.blobs.size} (${ramMB}MB / ${(this.ramMaxBytes / 1024 / 1024).toFixed(0)}MB) | Indexed: ${diskMB}MB\n`;
+    const mb = (bytes, limit) => `${(bytes / 1024 / 1024).toFixed(1)}MB` + (limit ? ` / ${(limit / 1024 / 1024).toFixed(0)}MB` : "");
+    report += `Tiers: warm ${mb(this._warmBytes(), this.warmMaxBytes)}`;
+    if (this.coldBlobDir) report += ` | cold ${mb(this.coldBytes, this.coldMaxBytes)} (${this.coldBlobs.size} blobs)`;
+    report += `\n`;
+    const th = this.stats.tierHits;
+    report += `Tier hits: RAM ${th.ram} | warm ${th.warm} | cold ${th.cold} | promoted ${this.stats.promoted} | demoted ${this.stats.demoted}\n`;
+    report += `HIT: ${this.stats.hits} | MISS: ${this.stats.misses} | 304-revalidated: ${this.stats.revalidated} | Coalesced: ${this.stats.coalesced} | Local 304: ${this.stats.notModified} | Ratio: ${ratio}%\n`;
+    const bg = this.stats.background;
+    report += `SWR served: ${this.stats.swrServed} | Background: 304 ${bg.revalidated} | updated ${bg.updated} | dropped ${bg.dropped} | failed ${bg.failed} | skipped ${bg.skipped}\n`;
+    const sie = this.stats.staleIfError;
+    const late = this.stats.late;
+    report += `Stale-if-error: timeout ${sie.timeout} | 5xx ${sie["5xx"]} | network ${sie.network} | Late fetches: 304 ${late.revalidated} | updated ${late.updated} | dropped ${late.dropped} | failed ${late.failed}\n`;
+    report += `Origin fetches: queued ${this.stats.fetchQueue} (peak ${this.stats.fetchQueuePeak}) | retries ${this.stats.fetchRetries} | gave up ${this.stats.fetchGaveUp}\n`;
+    const rg = this.stats.range;
+    report += `Range: 206 ${rg.partial} | 416 ${rg.unsatisfiable} | origin 206 ${rg.passthrough} | filled ${rg.filled} | fill failed ${rg.fillFailed}\n`;
+    const notStored = Object.entries(this.stats.notStoredBy).map(([r, n]) => `${r} ${n}`).join(", ");
+    report += `Not stored: ${this.stats.notStored}${notStored ? ` (${notStored})` : ""}\n`;
+    let variants = 0;
+    for (const [, meta] of this.index) if (meta.varyBase) variants++;
+    report += `Vary: ${this.varyIndex.size} keys with variants | ${variants} variant entries | credential-scoped stores: ${this.stats.credentialScoped}\n`;
+    const dropped = [...this.stats.headersDropped].sort((a, b) => b[1] - a[1]).slice(0, 10)
+      .map(([name, n]) => `${name} ${n}`).join(", ");
+    report += `Headers dropped: ${dropped || "none"}\n`;
+    report += `CORS replay: ACAO rewritten ${this.stats.cors.rewritten} | withheld ${this.stats.cors.withheld}\n`;
     report += `Bytes fetched (quota used): ${(this.stats.bytesFetched / 1024 / 1024).toFixed(1)} MB\n`;
     report += `Bytes served from cache: ${(this.stats.bytesServed / 1024 / 1024).toFixed(1)} MB\n`;
     report += `QUOTA SAVED: ${(this.stats.bytesServed / 1024 / 1024).toFixed(1)} MB\n`;
@@ -353,6 +1478,14 @@ class StorageEngine {
       report += `  ${origin}: HIT ${s.hit} | MISS ${s.miss} | Saved ${(s.saved / 1024 / 1024).toFixed(1)} MB | Fetched ${(s.fetched / 1024 / 1024).toFixed(1)} MB\n`;
     }
 
+    if (this.quotas.size > 0) {
+      report += `--- Storage Quotas ---\n`;
+      for (const [bucket, quota] of this.quotas) {
+        const used = this.bucketSizes.get(bucket) || 0;
+        report += `  ${bucket}: ${(used / 1024 / 1024).toFixed(1)} / ${(quota / 1024 / 1024).toFixed(1)} MB (${((used / quota) * 100).toFixed(1)}%)\n`;
+      }
+    }
+
     report += `--- By Resource Type ---\n`;
     for (const [type, s] of Object.entries(this.stats.byType)) {
       report += `  ${type}: HIT ${s.hit} | MISS ${s.miss}\n`;
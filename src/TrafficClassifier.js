@@ -1,9 +1,14 @@
 "use strict";
 
 class TrafficClassifier {
-  constructor(routing, allMatchDomains) {
+  constructor(routing, allMatchDomains, targets) {
     this.routing = routing || {};
     this.selfDomains = new Set((allMatchDomains || []).map(d => d.toLowerCase()));
+    // Per-target domain lists, used to label entries for storage quotas
+    this.targets = (targets || []).map(t => ({
+      label: t.label,
+      domains: (t.matchDomains || []).map(d => d.toLowerCase())
+    }));
 
     this.classAPatterns = this._compilePatterns(routing?.classA?.patterns || []);
     this.classBPatterns = this._compilePatterns(routing?.classB?.patterns || []);
@@ -36,8 +41,16 @@ class TrafficClassifier {
     return false;
   }
 
+  _targetLabel(hostname) {
+    for (const t of this.targets) {
+      if (t.domains.some(d => hostname === d || hostname.endsWith("." + d))) return t.label;
+    }
+    return null;
+  }
+
   classify(url, resourceType) {
     const hostname = this._getDomain(url);
+    const target = this._targetLabel(hostname);
     let origin;
     if (this._isSelfDomain(hostname)) {
       origin = "self";
@@ -54,22 +67,22 @@ class TrafficClassifier {
 
     // Check Class A (auction/decisioning)
     for (const re of this.classAPatterns) {
-      if (re.test(url)) return { class: "A", origin, action: "bypass" };
+      if (re.test(url)) return { class: "A", origin, target, action: "bypass" };
     }
 
     // Check Class B (measurement/beacon)
     for (const re of this.classBPatterns) {
-      if (re.test(url)) return { class: "B", origin, action: "bypass" };
+      if (re.test(url)) return { class: "B", origin, target, action: "bypass" };
     }
 
     // Additional beacon detection via URL keywords
     if (this.beaconKeywords.test(url) &&
         (resourceType === "image" || resourceType === "ping" || resourceType === "other")) {
-      return { class: "B", origin, action: "bypass" };
+      return { class: "B", origin, target, action: "bypass" };
     }
 
     // Default: Class C — cache
-    return { class: "C", origin, action: "cache" };
+    return { class: "C", origin, target, action: "cache" };
   }
 
   /**
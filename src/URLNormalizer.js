@@ -102,20 +102,36 @@ class URLNormalizer {
   }
 
   /**
-   * Vary-aware key suffix for cross-browser safety.
-   * Appends accept fingerprint when response has Vary: Accept.
+   * Request header names a response varies on — lowercased, sorted, deduped.
+   * Accept-Encoding is ignored: bodies are stored decoded, so every encoding
+   * maps to the same bytes. Returns null for "Vary: *" (never reusable).
    */
-  varyKey(canonicalKey, requestHeaders, responseVary) {
-    if (!responseVary) return canonicalKey;
-    const vary = responseVary.toLowerCase();
-    if (vary.includes("accept")) {
-      const accept = (requestHeaders["accept"] || "").trim();
-      if (accept) {
-        const fp = crypto.createHash("md5").update(accept).digest("hex").substring(0, 8);
-        return `${canonicalKey}|accept=${fp}`;
-      }
+  varyHeaders(responseVary) {
+    if (!responseVary) return [];
+    const names = new Set();
+    for (const part of String(responseVary).split(",")) {
+      const name = part.trim().toLowerCase();
+      if (!name || name === "accept-encoding") continue;
+      if (name === "*") return null;
+      names.add(name);
     }
-    return canonicalKey;
+    return [...names].sort();
+  }
+
+  /**
+   * Vary-aware key: appends a fingerprint of the request's values for each
+   * header the response varies on (a Vary header string or a varyHeaders()
+   * list). No Vary → the key is returned unchanged.
+   */
+  varyKey(canonicalKey, requestHeaders, responseVary) {
+    const names = Array.isArray(responseVary) ? responseVary : this.varyHeaders(responseVary);
+    if (!names || names.length === 0) return canonicalKey;
+    const parts = names.map(name => {
+      const value = String(requestHeaders[name] || "").trim().replace(/\s*,\s*/g, ",");
+      return `${name}=${value}`;
+    });
+    const fp = crypto.createHash("md5").update(parts.join("\n")).digest("hex").substring(0, 12);
+    return `${canonicalKey}|vary=${fp}`;
   }
 }
 
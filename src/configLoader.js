@@ -24,6 +24,12 @@ function loadEnvFile() {
   }
 }
 
+// Integer env var, or undefined when unset / not a number (so 0 is kept)
+function envInt(name) {
+  const n = parseInt(process.env[name]);
+  return Number.isNaN(n) ? undefined : n;
+}
+
 function parseWildcardTargets(raw) {
   return raw.split(",").map(s => s.trim()).filter(Boolean);
 }
@@ -69,6 +75,60 @@ function loadConfig() {
       maxSize:  parseInt(process.env.CACHE_MAX_SIZE) || defaults.cache?.maxSize  || 2199023255552,
       maxAge:   parseInt(process.env.CACHE_MAX_AGE)  || defaults.cache?.maxAge   || 86400000,
       staleWhileRevalidate: defaults.cache?.staleWhileRevalidate || 3600000,
+      swrConcurrency: defaults.cache?.swrConcurrency || 4,
+      // 0 is meaningful for both: no fallback window / wait indefinitely
+      staleIfError: defaults.cache?.staleIfError ?? 604800000,
+      originTimeoutMs: envInt("CACHE_ORIGIN_TIMEOUT") ?? defaults.cache?.originTimeoutMs ?? 10000,
+      fetch: {
+        perHost:     defaults.cache?.fetch?.perHost || 8,
+        global:      defaults.cache?.fetch?.global || 64,
+        retries:     defaults.cache?.fetch?.retries ?? 2,
+        baseDelayMs: defaults.cache?.fetch?.baseDelayMs || 250,
+        maxDelayMs:  defaults.cache?.fetch?.maxDelayMs || 4000
+      },
+      rangeFill: {
+        enabled:  defaults.cache?.rangeFill?.enabled || false,
+        maxBytes: defaults.cache?.rangeFill?.maxBytes || 104857600
+      },
+      freshness: {
+        minTTL:  parseInt(process.env.CACHE_MIN_TTL) || defaults.cache?.freshness?.minTTL || 0,
+        maxTTL:  parseInt(process.env.CACHE_MAX_TTL) || defaults.cache?.freshness?.maxTTL || 0,
+        origins: defaults.cache?.freshness?.origins || {}
+      },
+      credentials: {
+        mode:           process.env.CACHE_CREDENTIAL_MODE || defaults.cache?.credentials?.mode || "scope",
+        allowHosts:     defaults.cache?.credentials?.allowHosts || [],
+        sessionCookies: defaults.cache?.credentials?.sessionCookies || ["session", "sess", "sid", "auth", "token", "login"]
+      },
+      statuses: {
+        redirects:     defaults.cache?.statuses?.redirects || false,
+        negative:      defaults.cache?.statuses?.negative || false,
+        negativeTypes: defaults.cache?.statuses?.negativeTypes || ["image", "script", "stylesheet", "font", "media"],
+        ttl:           defaults.cache?.statuses?.ttl || {}
+      },
+      headers: {
+        allow:   defaults.cache?.headers?.allow,
+        deny:    defaults.cache?.headers?.deny || [],
+        origins: defaults.cache?.headers?.origins || {},
+        types:   defaults.cache?.headers?.types || {}
+      },
+      evictionPolicy: process.env.CACHE_EVICTION_POLICY || defaults.cache?.evictionPolicy || "lru",
+      quotas:   defaults.cache?.quotas || {},
+      compression: {
+        codec:   process.env.CACHE_COMPRESSION || defaults.cache?.compression?.codec || "none",
+        minSize: defaults.cache?.compression?.minSize || 1024,
+        level:   defaults.cache?.compression?.level || 5
+      },
+      journalFlushMs: defaults.cache?.journalFlushMs || 1000,
+      journalCompactOps: defaults.cache?.journalCompactOps || 50000,
+      syncMs:   defaults.cache?.syncMs || 2000,
+      ramMaxBytes: parseInt(process.env.CACHE_RAM_MAX_SIZE) || defaults.cache?.ramMaxBytes || 268435456,
+      tiers: {
+        warmMaxBytes: parseInt(process.env.CACHE_WARM_MAX_SIZE) || defaults.cache?.tiers?.warmMaxBytes || 0,
+        coldDir:      process.env.CACHE_COLD_DIR || defaults.cache?.tiers?.coldDir || "",
+        coldMaxBytes: parseInt(process.env.CACHE_COLD_MAX_SIZE) || defaults.cache?.tiers?.coldMaxBytes || 0,
+        demoteIdleMs: defaults.cache?.tiers?.demoteIdleMs || 0
+      },
       dir:      process.env.CACHE_DIR || defaults.cache?.dir || "data/cdn-cache"
     },
     browser: {
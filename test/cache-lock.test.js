@@ -0,0 +1,37 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { tmpDir, openStorage } = require("./helpers");
+const { CacheLock } = require("../src/CacheLock");
+const { CacheFsck } = require("../src/CacheFsck");
+
+test("the lock is only released by the outermost release()", () => {
+  const lock = new CacheLock(tmpDir());
+  assert.ok(lock.tryAcquire());
+  assert.ok(lock.tryAcquire());
+  lock.release();
+  assert.ok(fs.existsSync(lock.path));
+  lock.release();
+  assert.ok(!fs.existsSync(lock.path));
+  assert.ok(!lock.held);
+});
+
+test("fsck keeps the index lock across its compaction", async () => {
+  const storage = await openStorage();
+  await storage.put("K", "https://x.example.com/a.png", Buffer.from("A"),
+    { "content-type": "image/png" }, "image", "self");
+  const compact = storage.compact;
+  let heldAfterCompact = null;
+  storage.compact = function () {
+    const result = compact.call(this);
+    heldAfterCompact = fs.existsSync(this.lock.path);
+    return result;
+  };
+  new CacheFsck(storage).run();
+  assert.strictEqual(heldAfterCompact, true);
+  assert.ok(!fs.existsSync(storage.lock.path));
+  storage.compact = compact;
+  storage.close();
+});
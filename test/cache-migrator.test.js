@@ -0,0 +1,46 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { tmpDir, openStorage } = require("./helpers");
+const { CacheMigrator } = require("../src/CacheMigrator");
+
+const URL = "https://cdn.example.com/logo.png";
+
+// src/cache/StorageEngine.js layout: index.json keyed by URL + blobs/ab/cd/<sha256>
+function writeSrcCache(dir) {
+  const body = Buffer.from("LEGACY-PNG");
+  const hash = crypto.createHash("sha256").update(body).digest("hex");
+  const blobDir = path.join(dir, "blobs", hash.substring(0, 2), hash.substring(2, 4));
+  fs.mkdirSync(blobDir, { recursive: true });
+  fs.writeFileSync(path.join(blobDir, hash), body);
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify({
+    [URL]: { status: 200, headers: { "content-type": "image/png" }, hash, size: body.length, cachedAt: Date.now() }
+  }));
+}
+
+const classifier = { classify: () => ({ origin: "thirdparty", class: "C" }) };
+
+test("a normal start leaves a legacy src/cache index for --migrate-cache", async () => {
+  const dir = tmpDir();
+  writeSrcCache(dir);
+
+  const storage = await openStorage({ dir });
+  assert.strictEqual(storage.index.size, 0);
+  storage.close();
+  assert.ok(!fs.existsSync(path.join(dir, "quarantine")));
+  assert.ok(fs.existsSync(path.join(dir, "index.legacy.json")));
+
+  // What --migrate-cache does on the next run
+  const again = await openStorage({ dir });
+  const migrator = new CacheMigrator(again, classifier);
+  await migrator.migrate(dir);
+  assert.strictEqual(migrator.summary.imported, 1);
+  const [meta] = again.index.values();
+  assert.strictEqual(meta.url, URL);
+  assert.strictEqual(String(again.getBlob(meta.blobHash)), "LEGACY-PNG");
+  again.close();
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { openStorage, handler, route, request } = require("./helpers");
+
+const URL = "https://cdn.example.com/app.js";
+const script = { resourceType: "script" };
+const stale = () => ({
+  headers: { "content-type": "text/javascript", "cache-control": "max-age=0", etag: "\"v1\"" },
+  body: "APP"
+});
+
+test("a waiter without validators gets the refreshed body, not the first request's 304", async () => {
+  const storage = await openStorage();
+  const h = handler(storage);
+  await request(h, URL, { ...script, origin: stale });
+  const key = storage.urlToKey(h.normalizer.canonicalKey(URL, "self"));
+  const meta = storage.index.get(key);
+  const ctx = {
+    url: URL, resourceType: "script", classification: { origin: "self" },
+    reqHeaders: {}, keyHeaders: {}, cacheKey: key
+  };
+  const notModified = { status: 304, headers: { etag: "\"v1\"" }, body: Buffer.alloc(0), shared: true, keyHeaders: {} };
+
+  const plain = route(URL, script);
+  await h._serveShared(plain, notModified, ctx);
+  assert.strictEqual(plain.out.status, 200);
+  assert.strictEqual(String(plain.out.body), "APP");
+
+  const conditional = route(URL, script);
+  await h._serveShared(conditional, notModified, { ...ctx, reqHeaders: { "if-none-match": meta.etag } });
+  assert.strictEqual(conditional.out.status, 304);
+  storage.close();
+});
+
+test("a miss joining a revalidation that got a 304 is never answered with a bodyless 304", async () => {
+  const storage = await openStorage();
+  const h = handler(storage);
+  await request(h, URL, { ...script, origin: stale });
+  const key = storage.urlToKey(h.normalizer.canonicalKey(URL, "self"));
+
+  let answer;
+  const gate = new Promise(resolve => { answer = resolve; });
+  const leader = route(URL, { ...script, origin: async () => { await gate; return { status: 304, headers: { etag: "\"v1\"", "cache-control": "max-age=600" } }; } });
+  const leading = h.handle(leader);
+  await new Promise(resolve => setImmediate(resolve));
+
+  // The entry goes away mid-flight; the next request is a miss on the same key
+  storage.remove(key);
+  const follower = route(URL, { ...script, origin: () => assert.fail("joins the leader's fetch") });
+  const following = h.handle(follower);
+  await new Promise(resolve => setImmediate(resolve));
+  answer();
+  await Promise.all([leading, following]);
+
+  assert.strictEqual(leader.out.status, 200);
+  // Nothing left to answer from: the browser's own request goes through
+  assert.strictEqual(follower.fetched, 0);
+  assert.deepStrictEqual(follower.out, { continued: true });
+  storage.close();
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { openStorage, handler, request } = require("./helpers");
+
+const URL = "https://cdn.example.com/font.woff2";
+const WWW = "https://www.example.com";
+const NEWS = "https://news.example.com";
+
+test("a 304 that changes the CORS mode re-describes the entry", async () => {
+  const storage = await openStorage();
+  const h = handler(storage);
+  const font = { resourceType: "font" };
+
+  await request(h, URL, { ...font, headers: { origin: WWW }, origin: () => ({
+    headers: { "content-type": "font/woff2", "cache-control": "max-age=0", etag: "\"v1\"", "access-control-allow-origin": "*" },
+    body: "FONT"
+  }) });
+  const key = storage.urlToKey(h.normalizer.canonicalKey(URL, "self"));
+  assert.strictEqual(storage.index.get(key).cors.mode, "any");
+
+  // Revalidated from news: the origin now echoes and allows credentials
+  const reval = await request(h, URL, { ...font, headers: { origin: NEWS }, origin: () => ({
+    status: 304,
+    headers: { "cache-control": "max-age=600", etag: "\"v1\"", "access-control-allow-origin": NEWS, "access-control-allow-credentials": "true" }
+  }) });
+  assert.strictEqual(reval.fetched, 1);
+  assert.strictEqual(reval.out.headers["access-control-allow-origin"], NEWS);
+  assert.deepStrictEqual(storage.index.get(key).cors, { mode: "echo", origin: NEWS, credentials: true });
+
+  // Credentialed CORS headers are not replayed to another origin
+  const other = await request(h, URL, { ...font, headers: { origin: WWW }, origin: () => assert.fail("no fetch") });
+  assert.strictEqual(other.fetched, 0);
+  assert.strictEqual(other.out.headers["access-control-allow-origin"], undefined);
+  assert.strictEqual(other.out.headers["access-control-allow-credentials"], undefined);
+  storage.close();
+});
+
+test("a 304 without CORS headers keeps the entry's CORS semantics", async () => {
+  const storage = await openStorage();
+  const h = handler(storage);
+  const font = { resourceType: "font" };
+
+  await request(h, URL, { ...font, headers: { origin: WWW }, origin: () => ({
+    headers: { "content-type": "font/woff2", "cache-control": "max-age=0", etag: "\"v1\"", "access-control-allow-origin": WWW },
+    body: "FONT"
+  }) });
+  await request(h, URL, { ...font, headers: { origin: NEWS }, origin: () => ({
+    status: 304, headers: { "cache-control": "max-age=600", etag: "\"v1\"" }
+  }) });
+  const key = storage.urlToKey(h.normalizer.canonicalKey(URL, "self"));
+  assert.strictEqual(storage.index.get(key).cors.mode, "echo");
+  const hit = await request(h, URL, { ...font, headers: { origin: NEWS }, origin: () => assert.fail("no fetch") });
+  assert.strictEqual(hit.out.headers["access-control-allow-origin"], NEWS);
+  storage.close();
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { openStorage, handler, request } = require("./helpers");
+
+const URL = "https://shop.example.com/avatar.png";
+const setCookie = () => ({
+  headers: { "content-type": "image/png", "cache-control": "max-age=600", "set-cookie": "sid=abc; Path=/" },
+  body: "PERSONAL"
+});
+
+test("a Set-Cookie answer to an anonymous request is not stored", async () => {
+  const storage = await openStorage();
+  const h = handler(storage);
+  const first = await request(h, URL, { origin: setCookie });
+  const second = await request(h, URL, { origin: setCookie });
+  assert.strictEqual(first.fetched, 1);
+  assert.strictEqual(second.fetched, 1);
+  assert.strictEqual(storage.index.size, 0);
+  assert.strictEqual(storage.stats.notStoredBy["set-cookie"], 2);
+  storage.close();
+});
+
+test("a Set-Cookie answer to a session request is kept to its scope", async () => {
+  const storage = await openStorage();
+  const h = handler(storage);
+  await request(h, URL, { headers: { cookie: "sid=1" }, origin: setCookie });
+  const same = await request(h, URL, { headers: { cookie: "sid=1" }, origin: setCookie });
+  const other = await request(h, URL, { headers: { cookie: "sid=2" }, origin: setCookie });
+  const anonymous = await request(h, URL, { origin: setCookie });
+  assert.strictEqual(same.fetched, 0);
+  assert.strictEqual(same.out.headers["set-cookie"], undefined);
+  assert.strictEqual(other.fetched, 1);
+  assert.strictEqual(anonymous.fetched, 1);
+  storage.close();
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+// Keep test output to failures
+process.env.DEBUG_LEVEL = process.env.DEBUG_LEVEL || "1";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { StorageEngine } = require("../src/StorageEngine");
+const { RequestHandler } = require("../src/RequestHandler");
+
+const dirs = [];
+process.on("exit", () => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "edgeproxy-test-"));
+  dirs.push(dir);
+  return dir;
+}
+
+async function openStorage(config = {}) {
+  const storage = new StorageEngine({ dir: tmpDir(), ...config });
+  await storage.init();
+  return storage;
+}
+
+function classifier(origin = "self") {
+  return {
+    classify: () => ({ origin, class: "C", action: "cache" }),
+    shouldCacheByContentType: () => true
+  };
+}
+
+function handler(storage, config = {}, origin = "self") {
+  return new RequestHandler(storage, classifier(origin), config);
+}
+
+/**
+ * Playwright Route stand-in. `origin(req)` answers route.fetch() with
+ * { status, headers, body }; `headers` are what the page sent (cookies
+ * included — headers() hides them, as Playwright does).
+ */
+function route(url, { headers = {}, resourceType = "image", origin } = {}) {
+  const visible = { ...headers };
+  delete visible.cookie;
+  const r = {
+    fetched: 0,
+    sent: null,
+    out: null,
+    request: () => ({
+      url: () => url,
+      method: () => "GET",
+      resourceType: () => resourceType,
+      headers: () => visible,
+      allHeaders: async () => headers
+    }),
+    fetch: async (options = {}) => {
+      r.fetched++;
+      r.sent = options.headers || {};
+      const res = await origin(r.sent);
+      return {
+        status: () => res.status || 200,
+        headers: () => res.headers || {},
+        body: async () => Buffer.from(res.body || "")
+      };
+    },
+    fulfill: async (options) => { r.out = options; },
+    continue: async () => { r.out = { continued: true }; }
+  };
+  return r;
+}
+
+async function request(h, url, options) {
+  const r = route(url, options);
+  await h.handle(r);
+  return r;
+}
+
+module.exports = { tmpDir, openStorage, handler, route, request };
@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { tmpDir, openStorage } = require("./helpers");
+
+const HEADERS = { "content-type": "image/png", "cache-control": "max-age=600" };
+
+function diskBytes(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  let total = 0;
+  for (const shard of fs.readdirSync(dir)) {
+    for (const file of fs.readdirSync(path.join(dir, shard))) total += fs.statSync(path.join(dir, shard, file)).size;
+  }
+  return total;
+}
+
+test("reading cold entries back into warm keeps warm within its limit", async () => {
+  const config = {
+    dir: tmpDir(),
+    ramMaxBytes: 1, // every read goes to disk
+    tiers: { warmMaxBytes: 1000, coldDir: tmpDir() }
+  };
+  const storage = await openStorage(config);
+  for (let i = 0; i < 20; i++) {
+    await storage.put(`K${i}`, `https://x.example.com/${i}.png`, Buffer.alloc(100, i), HEADERS, "image", "self");
+  }
+  assert.ok(storage.coldBlobs.size > 0);
+
+  for (let round = 0; round < 2; round++) {
+    for (let i = 0; i < 20; i++) {
+      const meta = storage.index.get(`K${i}`);
+      assert.strictEqual(storage.getBlob(meta.blobHash).length, 100);
+      storage.touch(`K${i}`);
+      assert.ok(storage._warmBytes() <= 1000, `warm at ${storage._warmBytes()} bytes after reading K${i}`);
+    }
+  }
+  assert.ok(storage.stats.promoted > 0);
+  // Counters match the files
+  assert.strictEqual(storage._warmBytes(), diskBytes(storage.blobDir));
+  assert.strictEqual(storage.coldBytes, diskBytes(storage.coldBlobDir));
+  storage.close();
+
+  const reopened = await openStorage(config);
+  assert.ok(diskBytes(reopened.blobDir) <= 1000);
+  reopened.close();
+});
+
+test("a lowered warm limit is applied at startup", async () => {
+  const config = { dir: tmpDir(), tiers: { coldDir: tmpDir() } };
+  const storage = await openStorage(config);
+  for (let i = 0; i < 10; i++) {
+    await storage.put(`K${i}`, `https://x.example.com/${i}.png`, Buffer.alloc(100, i), HEADERS, "image", "self");
+  }
+  storage.close();
+
+  const reopened = await openStorage({ ...config, tiers: { ...config.tiers, warmMaxBytes: 500 } });
+  assert.ok(diskBytes(reopened.blobDir) <= 500);
+  reopened.close();
+});